@@ -0,0 +1,37 @@
+// 事件委托：元素用 data-action（点击）或 data-change（值变化）指定要执行的动作
+// 页面中不再使用内联的 onclick 等属性，可以启用不允许内联脚本的 CSP
+
+const actions = {
+  click: new Map(),
+  change: new Map(),
+};
+
+const ATTRIBUTES = {
+  click: "data-action",
+  change: "data-change",
+};
+
+// 注册动作：handler(element, event)，element 为带有 data-action 的元素
+function registerActions(handlers, type = "click") {
+  Object.entries(handlers).forEach(([name, handler]) => {
+    actions[type].set(name, handler);
+  });
+}
+
+// 在 document 上监听一次，嵌套时只执行离点击位置最近的动作
+function setupActions() {
+  Object.entries(ATTRIBUTES).forEach(([type, attribute]) => {
+    document.addEventListener(type, (event) => {
+      const element = event.target.closest?.(`[${attribute}]`);
+      if (!element) return;
+      const handler = actions[type].get(element.getAttribute(attribute));
+      if (!handler) {
+        console.warn("未注册的动作:", element.getAttribute(attribute));
+        return;
+      }
+      handler(element, event);
+    });
+  });
+}
+
+export { registerActions, setupActions };
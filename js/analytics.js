@@ -0,0 +1,163 @@
+// 对话分析：字数、token 估算、回复长度与耗时、代码块和高频词
+
+const ROLES = ["user", "assistant", "tool", "system"];
+
+const CJK_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CJK_GLOBAL =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+const WORD_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}_']+/gu;
+
+// 高频词中忽略的常用词
+const STOP_WORDS = new Set(
+  (
+    "the a an and or but if then else of to in on at by for with from as is are was were be been " +
+    "being it its this that these those i you he she we they me my your our their them his her " +
+    "not no do does did have has had can could will would should may might must so than too very " +
+    "just also about into over what which who whom how when where why there here all any some " +
+    "more most other such only own same each both few s t don let use using" +
+    " 的 了 是 在 我 你 他 她 它 们 和 与 或 就 都 也 而 及 着 把 被 让 给 对 从 到 这 那 " +
+    "一个 一些 这个 那个 这些 那些 什么 怎么 如何 可以 可能 需要 没有 不是 就是 还是 但是 " +
+    "因为 所以 如果 或者 以及 然后 我们 你们 他们 自己 进行 使用 通过 一下 这样 那样 吗 呢 吧 啊"
+  ).split(/\s+/)
+);
+
+// 中日韩文字用 Intl.Segmenter 分词（不支持时退回单字）
+const segmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter("zh", { granularity: "word" })
+    : null;
+
+function segmentWords(text) {
+  if (segmenter) {
+    const words = [];
+    for (const { segment, isWordLike } of segmenter.segment(text)) {
+      if (isWordLike) words.push(segment);
+    }
+    return words;
+  }
+  return text.match(WORD_PATTERN) || [];
+}
+
+// 估算 token 数：中日韩文字约 1 字 1 token，其余约 4 个字符 1 token
+function estimateTokens(text) {
+  const cjk = (text.match(CJK_GLOBAL) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+// 字数：中日韩文字按字计，其余按单词计
+function countWords(text) {
+  return (text.match(WORD_PATTERN) || []).length;
+}
+
+function countCodeBlocks(text) {
+  return Math.floor((text.match(/^\s*```/gm) || []).length / 2);
+}
+
+function isTermCandidate(word) {
+  if (STOP_WORDS.has(word)) return false;
+  if (/^[\d_.']+$/.test(word)) return false;
+  // 单个中日韩文字意义不大，拉丁单词至少 3 个字母
+  return CJK_PATTERN.test(word) ? Array.from(word).length > 1 : word.length > 2;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function average(values) {
+  return values.length === 0
+    ? 0
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function createRoleStats() {
+  return { messages: 0, characters: 0, words: 0, tokens: 0 };
+}
+
+// 统计一组对话，传入单个对话即为对话详情的统计
+// messagesOf 用于指定参与统计的消息（例如当前分支）
+function analyzeConversations(
+  conversations,
+  { messagesOf = (conv) => conv.messages || [], topTermCount = 20 } = {}
+) {
+  const roles = Object.fromEntries(
+    ROLES.map((role) => [role, createRoleStats()])
+  );
+  const latencies = [];
+  const durations = [];
+  const terms = new Map();
+  let codeBlocks = 0;
+
+  conversations.forEach((conv) => {
+    const messages = messagesOf(conv);
+    let pendingPrompt = null;
+    let firstTime = null;
+    let lastTime = null;
+
+    messages.forEach((msg) => {
+      const text = msg.content || "";
+      const stats = roles[msg.role];
+      if (stats) {
+        stats.messages++;
+        stats.characters += text.length;
+        stats.words += countWords(text);
+        stats.tokens += estimateTokens(text);
+      }
+      codeBlocks += countCodeBlocks(text);
+
+      if (msg.createTime) {
+        if (firstTime === null || msg.createTime < firstTime)
+          firstTime = msg.createTime;
+        if (lastTime === null || msg.createTime > lastTime)
+          lastTime = msg.createTime;
+      }
+
+      // 用户提问到第一条助手回复之间的时间
+      if (msg.role === "user") {
+        pendingPrompt = msg.createTime || null;
+      } else if (msg.role === "assistant" && pendingPrompt) {
+        if (msg.createTime && msg.createTime >= pendingPrompt) {
+          latencies.push(msg.createTime - pendingPrompt);
+        }
+        pendingPrompt = null;
+      }
+
+      // 高频词只统计用户和助手的正文
+      if (msg.role === "user" || msg.role === "assistant") {
+        segmentWords(text.toLowerCase()).forEach((word) => {
+          if (isTermCandidate(word)) {
+            terms.set(word, (terms.get(word) || 0) + 1);
+          }
+        });
+      }
+    });
+
+    if (firstTime !== null) durations.push(lastTime - firstTime);
+  });
+
+  const topTerms = Array.from(terms.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topTermCount)
+    .map(([term, count]) => ({ term, count }));
+
+  return {
+    conversations: conversations.length,
+    roles,
+    averageResponseLength: roles.assistant.messages
+      ? roles.assistant.characters / roles.assistant.messages
+      : 0,
+    averageLatency: average(latencies),
+    medianLatency: median(latencies),
+    totalDuration: durations.reduce((sum, value) => sum + value, 0),
+    averageDuration: average(durations),
+    codeBlocks,
+    topTerms,
+  };
+}
+
+export { analyzeConversations };
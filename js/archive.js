@@ -0,0 +1,72 @@
+// 读取 ChatGPT 官方导出的 .zip 压缩包
+import { readZip } from "./zip.js";
+
+// 附件扩展名 -> MIME 类型
+const ASSET_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  ogg: "audio/ogg",
+  webm: "audio/webm",
+};
+
+// 从附件文件名中提取文件 ID，例如 file-AbC123-image.png -> file-AbC123
+function getAssetId(fileName) {
+  const match = fileName.match(/^(file[-_][A-Za-z0-9]+)/);
+  return match ? match[1] : null;
+}
+
+function getAssetType(fileName) {
+  const ext = fileName.split(".").pop().toLowerCase();
+  return ASSET_TYPES[ext] || null;
+}
+
+// 按文件名查找条目，优先选择目录层级最浅的
+function findEntry(entries, fileName) {
+  return entries
+    .filter((entry) => entry.baseName === fileName)
+    .sort((a, b) => a.name.split("/").length - b.name.split("/").length)[0];
+}
+
+async function readJsonEntry(entries, fileName) {
+  const entry = findEntry(entries, fileName);
+  if (!entry) return null;
+  return JSON.parse(await entry.text());
+}
+
+// 打开导出压缩包：对话数据很大，只返回 conversations.json 的条目，由调用方流式读取
+// 返回 { conversationsEntry, user, feedback, assets }
+async function openExportArchive(file) {
+  const entries = await readZip(file);
+
+  const conversationsEntry = findEntry(entries, "conversations.json");
+  if (!conversationsEntry) {
+    throw new Error("压缩包中没有找到 conversations.json");
+  }
+
+  const user = await readJsonEntry(entries, "user.json");
+  const feedback = await readJsonEntry(entries, "message_feedback.json");
+
+  // 附件只记录目录信息，内容在保存时再逐个解压
+  const assets = [];
+  entries.forEach((entry) => {
+    const id = getAssetId(entry.baseName);
+    const type = getAssetType(entry.baseName);
+    if (!id || !type) return;
+    assets.push({ id, name: entry.baseName, type, size: entry.size, entry });
+  });
+
+  return {
+    conversationsEntry,
+    user,
+    feedback: Array.isArray(feedback) ? feedback : [],
+    assets,
+  };
+}
+
+export { openExportArchive };
@@ -0,0 +1,250 @@
+// 应用数据的备份与恢复：收藏、收藏夹、书签、保存的查询、设置，可选对话数据
+import chatDB from "./db.js";
+import { diffConversations } from "./merge.js";
+
+const BACKUP_FORMAT = "chatgpt-viewer-backup";
+const BACKUP_VERSION = 1;
+
+// localStorage 中属于本应用的设置（主题、显示选项等）
+const SETTINGS_PREFIX = "chatgpt-viewer-";
+
+// 每类记录必须包含的字段
+const RECORD_FIELDS = {
+  favorites: ["conversationId"],
+  collections: ["id", "name"],
+  bookmarks: ["conversationId", "messageId"],
+  savedQueries: ["name", "query"],
+  conversations: ["id"],
+};
+
+function readSettings() {
+  const settings = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(SETTINGS_PREFIX)) {
+        settings[key] = localStorage.getItem(key);
+      }
+    }
+  } catch (error) {
+    console.warn("无法读取设置:", error);
+  }
+  return settings;
+}
+
+function writeSettings(settings) {
+  let count = 0;
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!key.startsWith(SETTINGS_PREFIX)) return;
+    try {
+      localStorage.setItem(key, value);
+      count++;
+    } catch (error) {
+      console.warn("无法保存设置:", error);
+    }
+  });
+  return count;
+}
+
+// 生成备份对象
+async function createBackup({ includeConversations = false } = {}) {
+  const [favorites, collections, bookmarks, savedQueries] = await Promise.all([
+    chatDB.getFavorites(),
+    chatDB.getCollections(),
+    chatDB.getBookmarks(),
+    chatDB.getSavedQueries(),
+  ]);
+
+  const data = {
+    favorites,
+    collections,
+    bookmarks,
+    savedQueries,
+    settings: readSettings(),
+  };
+  if (includeConversations) {
+    data.conversations = await chatDB.getAllConversations();
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+function isBackup(json) {
+  return json?.format === BACKUP_FORMAT;
+}
+
+// 校验备份文件结构，不符合时抛出错误
+function validateBackup(json) {
+  if (!isBackup(json)) {
+    throw new Error("不是本工具导出的备份文件");
+  }
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    throw new Error("备份版本号无效");
+  }
+  if (json.version > BACKUP_VERSION) {
+    throw new Error(`备份版本 ${json.version} 比当前支持的版本更新`);
+  }
+  if (!json.data || typeof json.data !== "object") {
+    throw new Error("备份中没有数据");
+  }
+
+  Object.entries(RECORD_FIELDS).forEach(([key, fields]) => {
+    const records = json.data[key];
+    if (records === undefined) return;
+    if (!Array.isArray(records)) {
+      throw new Error(`${key} 应为数组`);
+    }
+    records.forEach((record, index) => {
+      if (!record || typeof record !== "object") {
+        throw new Error(`${key}[${index}] 不是对象`);
+      }
+      fields.forEach((field) => {
+        if (record[field] == null) {
+          throw new Error(`${key}[${index}] 缺少 ${field}`);
+        }
+      });
+    });
+  });
+
+  (json.data.favorites || []).forEach((fav, index) => {
+    if (fav.tags !== undefined && !Array.isArray(fav.tags)) {
+      throw new Error(`favorites[${index}].tags 应为数组`);
+    }
+  });
+
+  const settings = json.data.settings;
+  if (
+    settings !== undefined &&
+    (typeof settings !== "object" ||
+      Object.values(settings).some((value) => typeof value !== "string"))
+  ) {
+    throw new Error("settings 格式错误");
+  }
+}
+
+// 恢复收藏夹，同名的收藏夹合并；返回 备份中的ID -> 数据库中的ID
+async function restoreCollections(collections, summary) {
+  const existing = await chatDB.getCollections();
+  const idMap = new Map();
+  for (const collection of collections) {
+    const { id, ...record } = collection;
+    const same = existing.find((item) => item.name === record.name);
+    if (same) {
+      idMap.set(id, same.id);
+    } else {
+      idMap.set(id, await chatDB.saveCollection(record));
+      summary.collections++;
+    }
+  }
+  return idMap;
+}
+
+// 恢复收藏：已存在的收藏合并标签，空的备注、颜色和收藏夹用备份补上
+async function restoreFavorites(favorites, collectionIds, summary) {
+  const existing = new Map(
+    (await chatDB.getFavorites()).map((fav) => [fav.conversationId, fav])
+  );
+  for (const fav of favorites) {
+    const { id, ...record } = fav;
+    const collectionId = collectionIds.get(record.collectionId) ?? null;
+    const current = existing.get(record.conversationId);
+    if (current) {
+      await chatDB.saveFavorite({
+        ...current,
+        tags: Array.from(
+          new Set([...(current.tags || []), ...(record.tags || [])])
+        ),
+        note: current.note || record.note || "",
+        color: current.color || record.color || "",
+        collectionId: current.collectionId ?? collectionId,
+      });
+    } else {
+      await chatDB.saveFavorite({
+        timestamp: Date.now(),
+        title: "未命名对话",
+        tags: [],
+        note: "",
+        color: "",
+        ...record,
+        collectionId,
+      });
+      summary.favorites++;
+    }
+  }
+}
+
+// 恢复书签，同一位置的书签不重复添加
+async function restoreBookmarks(bookmarks, summary) {
+  const keyOf = (bookmark) =>
+    [
+      bookmark.conversationId,
+      bookmark.messageId,
+      bookmark.text || "",
+      bookmark.start ?? "",
+    ].join("\u0000");
+  const existing = new Set((await chatDB.getBookmarks()).map(keyOf));
+  for (const bookmark of bookmarks) {
+    if (existing.has(keyOf(bookmark))) continue;
+    const { id, ...record } = bookmark;
+    await chatDB.saveBookmark({
+      comment: "",
+      timestamp: Date.now(),
+      ...record,
+    });
+    existing.add(keyOf(bookmark));
+    summary.bookmarks++;
+  }
+}
+
+async function restoreSavedQueries(savedQueries, summary) {
+  const existing = new Set(
+    (await chatDB.getSavedQueries()).map((item) => item.query)
+  );
+  for (const item of savedQueries) {
+    if (existing.has(item.query)) continue;
+    await chatDB.addSavedQuery(item.name, item.query);
+    existing.add(item.query);
+    summary.savedQueries++;
+  }
+}
+
+// 把备份合并到数据库，返回各类新增的数量
+async function restoreBackup(backup) {
+  validateBackup(backup);
+  const { data } = backup;
+  const summary = {
+    favorites: 0,
+    collections: 0,
+    bookmarks: 0,
+    savedQueries: 0,
+    settings: 0,
+    conversations: 0,
+  };
+
+  const collectionIds = await restoreCollections(
+    data.collections || [],
+    summary
+  );
+  await restoreFavorites(data.favorites || [], collectionIds, summary);
+  await restoreBookmarks(data.bookmarks || [], summary);
+  await restoreSavedQueries(data.savedQueries || [], summary);
+  summary.settings = writeSettings(data.settings || {});
+
+  // 对话只写入数据库中没有或更新过的
+  if (data.conversations) {
+    const existing = await chatDB.getConversationSummaries();
+    const diff = diffConversations(existing, data.conversations);
+    const changed = [...diff.added, ...diff.updated];
+    if (changed.length > 0) await chatDB.saveConversations(changed);
+    summary.conversations = changed.length;
+  }
+
+  return summary;
+}
+
+export { createBackup, isBackup, restoreBackup };
@@ -0,0 +1,93 @@
+import chatDB from "./db.js";
+
+// 消息书签：收藏单条消息或其中的一段文字，可附备注
+class BookmarksManager {
+  constructor() {
+    this.bookmarks = new Map(); // 书签ID -> 书签对象
+  }
+
+  async init() {
+    const bookmarks = await chatDB.getBookmarks();
+    this.bookmarks.clear();
+    bookmarks.forEach((bookmark) => this.bookmarks.set(bookmark.id, bookmark));
+  }
+
+  // 添加书签，text 为空表示整条消息，否则为消息中 start~end 的文字
+  async add({
+    conversationId,
+    conversationTitle,
+    messageId,
+    role,
+    excerpt,
+    text = "",
+    start = null,
+    end = null,
+    comment = "",
+  }) {
+    const bookmark = {
+      conversationId,
+      conversationTitle: conversationTitle || "未命名对话",
+      messageId,
+      role,
+      excerpt,
+      text,
+      start,
+      end,
+      comment,
+      timestamp: Date.now(),
+    };
+    bookmark.id = await chatDB.saveBookmark(bookmark);
+    this.bookmarks.set(bookmark.id, bookmark);
+    return bookmark;
+  }
+
+  async update(id, changes) {
+    const bookmark = this.bookmarks.get(id);
+    if (!bookmark) return;
+    Object.assign(bookmark, changes);
+    await chatDB.saveBookmark(bookmark);
+  }
+
+  async remove(id) {
+    await chatDB.removeBookmark(id);
+    this.bookmarks.delete(id);
+  }
+
+  get(id) {
+    return this.bookmarks.get(id) || null;
+  }
+
+  // 整条消息的书签
+  getMessageBookmark(messageId) {
+    return (
+      this.getForMessage(messageId).find((bookmark) => !bookmark.text) || null
+    );
+  }
+
+  getForMessage(messageId) {
+    return Array.from(this.bookmarks.values()).filter(
+      (bookmark) => bookmark.messageId === messageId
+    );
+  }
+
+  getForConversation(conversationId) {
+    return Array.from(this.bookmarks.values()).filter(
+      (bookmark) => bookmark.conversationId === conversationId
+    );
+  }
+
+  // 所有书签，最新的在前
+  getAll() {
+    return Array.from(this.bookmarks.values()).sort(
+      (a, b) => b.timestamp - a.timestamp
+    );
+  }
+
+  getCount() {
+    return this.bookmarks.size;
+  }
+}
+
+const bookmarksManager = new BookmarksManager();
+
+export { bookmarksManager };
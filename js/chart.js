@@ -0,0 +1,400 @@
+// 消息趋势图：可选时间范围、按日/周/月汇总、区分用户与助手、拖动框选缩放
+import { toDateKey, parseDateKey } from "./parser.js";
+
+const RANGE_OPTIONS = [
+  ["7", "最近 7 天"],
+  ["30", "最近 30 天"],
+  ["90", "最近 90 天"],
+  ["365", "最近一年"],
+  ["all", "全部"],
+  ["custom", "自定义"],
+];
+
+const BUCKET_OPTIONS = [
+  ["day", "按日"],
+  ["week", "按周"],
+  ["month", "按月"],
+];
+
+// 标签最多显示的数量，避免太挤
+const MAX_LABELS = 10;
+
+function startOfDay(date) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// 所在桶的起始日期（周从周一开始）
+function getBucketStart(date, bucket) {
+  const day = startOfDay(date);
+  if (bucket === "week") return addDays(day, -((day.getDay() + 6) % 7));
+  if (bucket === "month") return new Date(day.getFullYear(), day.getMonth(), 1);
+  return day;
+}
+
+function getNextBucket(date, bucket) {
+  if (bucket === "week") return addDays(date, 7);
+  if (bucket === "month") {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  }
+  return addDays(date, 1);
+}
+
+function formatBucketLabel(date, bucket) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  if (bucket === "month") return `${date.getFullYear()}/${month}`;
+  return `${month}/${day}`;
+}
+
+function formatBucketTitle(bucket, type) {
+  if (type === "day") return toDateKey(bucket.start);
+  if (type === "month") return toDateKey(bucket.start).slice(0, 7);
+  return `${toDateKey(bucket.start)} ~ ${toDateKey(addDays(bucket.end, -1))}`;
+}
+
+class TrendChart {
+  constructor(container, controls, { onSelectPeriod } = {}) {
+    this.container = container;
+    this.controls = controls;
+    this.onSelectPeriod = onSelectPeriod;
+    this.data = [];
+    this.range = "30";
+    this.bucket = "day";
+    this.split = true;
+    this.customStart = null;
+    this.customEnd = null;
+    this.rangeBeforeZoom = null;
+    this.buckets = [];
+
+    this.renderControls();
+  }
+
+  // 设置每日数据 [{ date, count, user, assistant }]
+  setData(dailyData) {
+    this.data = dailyData;
+    this.render();
+  }
+
+  // 渲染范围、汇总方式等控件
+  renderControls() {
+    const options = (items, selected) =>
+      items
+        .map(
+          ([value, label]) =>
+            `<option value="${value}" ${
+              value === selected ? "selected" : ""
+            }>${label}</option>`
+        )
+        .join("");
+
+    this.controls.innerHTML = `
+      <select class="chart-select" data-role="range">
+        ${options(RANGE_OPTIONS, this.range)}
+      </select>
+      <select class="chart-select" data-role="bucket">
+        ${options(BUCKET_OPTIONS, this.bucket)}
+      </select>
+      <span class="chart-custom hidden" data-role="custom">
+        <input type="date" class="chart-date" data-role="start" />
+        ~
+        <input type="date" class="chart-date" data-role="end" />
+      </span>
+      <label class="chart-split">
+        <input type="checkbox" data-role="split" ${this.split ? "checked" : ""} />
+        区分角色
+      </label>
+      <button class="chart-reset hidden" data-role="reset">重置缩放</button>
+    `;
+
+    const get = (role) => this.controls.querySelector(`[data-role="${role}"]`);
+
+    get("range").addEventListener("change", (e) => {
+      this.range = e.target.value;
+      this.rangeBeforeZoom = null;
+      if (this.range === "custom" && !this.customStart) {
+        const { start, end } = this.getRange("30");
+        this.setCustomRange(start, end);
+      }
+      this.render();
+    });
+
+    get("bucket").addEventListener("change", (e) => {
+      this.bucket = e.target.value;
+      this.render();
+    });
+
+    const onDateChange = () => {
+      const start = get("start").value;
+      const end = get("end").value;
+      if (!start || !end) return;
+      this.customStart = parseDateKey(start);
+      this.customEnd = parseDateKey(end);
+      if (this.customStart > this.customEnd) {
+        [this.customStart, this.customEnd] = [this.customEnd, this.customStart];
+      }
+      this.render();
+    };
+    get("start").addEventListener("change", onDateChange);
+    get("end").addEventListener("change", onDateChange);
+
+    get("split").addEventListener("change", (e) => {
+      this.split = e.target.checked;
+      this.render();
+    });
+
+    get("reset").addEventListener("click", () => {
+      if (!this.rangeBeforeZoom) return;
+      this.range = this.rangeBeforeZoom.range;
+      this.customStart = this.rangeBeforeZoom.customStart;
+      this.customEnd = this.rangeBeforeZoom.customEnd;
+      this.rangeBeforeZoom = null;
+      this.render();
+    });
+  }
+
+  // 同步控件状态
+  updateControls() {
+    const get = (role) => this.controls.querySelector(`[data-role="${role}"]`);
+    get("range").value = this.range;
+    get("custom").classList.toggle("hidden", this.range !== "custom");
+    get("reset").classList.toggle("hidden", !this.rangeBeforeZoom);
+    if (this.customStart) get("start").value = toDateKey(this.customStart);
+    if (this.customEnd) get("end").value = toDateKey(this.customEnd);
+  }
+
+  setCustomRange(start, end) {
+    this.customStart = start;
+    this.customEnd = end;
+  }
+
+  // 当前范围的起止日期（都包含在内）
+  getRange(range = this.range) {
+    const today = startOfDay(new Date());
+    switch (range) {
+      case "all": {
+        if (this.data.length === 0) return { start: today, end: today };
+        const first = parseDateKey(this.data[0].date);
+        const last = parseDateKey(this.data[this.data.length - 1].date);
+        return { start: first, end: last > today ? last : today };
+      }
+      case "custom":
+        return {
+          start: this.customStart || today,
+          end: this.customEnd || today,
+        };
+      default:
+        return { start: addDays(today, -(Number(range) - 1)), end: today };
+    }
+  }
+
+  // 按当前范围和汇总方式生成柱子数据
+  buildBuckets() {
+    const { start, end } = this.getRange();
+    const buckets = [];
+    for (
+      let cursor = getBucketStart(start, this.bucket);
+      cursor <= end;
+      cursor = getNextBucket(cursor, this.bucket)
+    ) {
+      buckets.push({
+        start: cursor,
+        end: getNextBucket(cursor, this.bucket),
+        count: 0,
+        user: 0,
+        assistant: 0,
+      });
+    }
+
+    // 数据按日期升序，逐个放入对应的桶
+    let index = 0;
+    this.data.forEach((item) => {
+      const date = parseDateKey(item.date);
+      if (date < start || date > end) return;
+      while (index < buckets.length && date >= buckets[index].end) index++;
+      const bucket = buckets[index];
+      if (!bucket) return;
+      bucket.count += item.count;
+      bucket.user += item.user || 0;
+      bucket.assistant += item.assistant || 0;
+    });
+
+    return buckets;
+  }
+
+  describe(bucket) {
+    const title = formatBucketTitle(bucket, this.bucket);
+    if (!this.split) return `${title}: ${bucket.count} 条`;
+    const other = bucket.count - bucket.user - bucket.assistant;
+    return `${title}: ${bucket.count} 条（用户 ${bucket.user} / 助手 ${
+      bucket.assistant
+    }${other > 0 ? ` / 其他 ${other}` : ""}）`;
+  }
+
+  render() {
+    this.updateControls();
+    this.buckets = this.buildBuckets();
+    this.container.innerHTML = "";
+
+    const maxCount = Math.max(...this.buckets.map((b) => b.count), 1);
+    const chartInner = document.createElement("div");
+    chartInner.className = "chart-inner";
+
+    const tooltip = document.createElement("div");
+    tooltip.className = "tooltip";
+    chartInner.appendChild(tooltip);
+
+    const brush = document.createElement("div");
+    brush.className = "chart-brush hidden";
+    chartInner.appendChild(brush);
+
+    this.buckets.forEach((bucket) => {
+      const bar = document.createElement("div");
+      bar.className = `chart-bar ${this.split ? "split" : ""}`;
+      bar.style.height = `${(bucket.count / maxCount) * 100}%`;
+      bar.style.flex = "1 1 0";
+      bar.title = this.describe(bucket);
+
+      if (this.split && bucket.count > 0) {
+        const other = bucket.count - bucket.user - bucket.assistant;
+        [
+          ["other", other],
+          ["assistant", bucket.assistant],
+          ["user", bucket.user],
+        ].forEach(([role, value]) => {
+          if (value <= 0) return;
+          const segment = document.createElement("div");
+          segment.className = `chart-segment ${role}`;
+          segment.style.height = `${(value / bucket.count) * 100}%`;
+          bar.appendChild(segment);
+        });
+      }
+
+      chartInner.appendChild(bar);
+    });
+
+    this.setupBrush(chartInner, brush, tooltip);
+    this.container.appendChild(chartInner);
+    this.container.appendChild(this.renderLabels());
+    if (this.split) this.container.appendChild(this.renderLegend());
+  }
+
+  renderLabels() {
+    const labels = document.createElement("div");
+    labels.className = "chart-labels";
+    const step = Math.ceil(this.buckets.length / MAX_LABELS);
+    this.buckets.forEach((bucket, i) => {
+      const label = document.createElement("div");
+      label.textContent =
+        i % step === 0 ? formatBucketLabel(bucket.start, this.bucket) : "";
+      label.style.flex = "1 1 0";
+      label.style.fontSize = "7px";
+      labels.appendChild(label);
+    });
+    return labels;
+  }
+
+  renderLegend() {
+    const legend = document.createElement("div");
+    legend.className = "chart-legend";
+    legend.innerHTML = `
+      <span><i class="chart-segment user"></i>用户</span>
+      <span><i class="chart-segment assistant"></i>助手</span>
+      <span><i class="chart-segment other"></i>其他</span>
+    `;
+    return legend;
+  }
+
+  // 拖动框选：松开时放大到所选范围；没有拖动则视为点击，筛选该时间段
+  setupBrush(chartInner, brush, tooltip) {
+    const indexAt = (clientX) => {
+      const rect = chartInner.getBoundingClientRect();
+      const ratio = (clientX - rect.left) / rect.width;
+      return Math.min(
+        this.buckets.length - 1,
+        Math.max(0, Math.floor(ratio * this.buckets.length))
+      );
+    };
+
+    const showBrush = (from, to) => {
+      const width = 100 / this.buckets.length;
+      brush.style.left = `${Math.min(from, to) * width}%`;
+      brush.style.width = `${(Math.abs(to - from) + 1) * width}%`;
+      brush.classList.remove("hidden");
+    };
+
+    let dragStart = null;
+    let dragEnd = null;
+
+    chartInner.addEventListener("pointerdown", (e) => {
+      if (this.buckets.length === 0) return;
+      dragStart = indexAt(e.clientX);
+      dragEnd = dragStart;
+      chartInner.setPointerCapture(e.pointerId);
+    });
+
+    chartInner.addEventListener("pointermove", (e) => {
+      if (this.buckets.length === 0) return;
+      const index = indexAt(e.clientX);
+      tooltip.textContent = this.describe(this.buckets[index]);
+      tooltip.style.opacity = 0.9;
+      if (dragStart === null) return;
+      dragEnd = index;
+      if (dragEnd !== dragStart) showBrush(dragStart, dragEnd);
+    });
+
+    chartInner.addEventListener("pointerleave", () => {
+      if (dragStart === null) tooltip.style.opacity = 0;
+    });
+
+    chartInner.addEventListener("pointerup", () => {
+      if (dragStart === null) return;
+      const from = Math.min(dragStart, dragEnd);
+      const to = Math.max(dragStart, dragEnd);
+      dragStart = null;
+      brush.classList.add("hidden");
+
+      if (from === to) {
+        this.selectBucket(this.buckets[from]);
+      } else {
+        this.zoomTo(
+          this.buckets[from].start,
+          addDays(this.buckets[to].end, -1)
+        );
+      }
+    });
+  }
+
+  // 放大到指定日期范围，并记住之前的范围用于重置
+  zoomTo(start, end) {
+    if (!this.rangeBeforeZoom) {
+      this.rangeBeforeZoom = {
+        range: this.range,
+        customStart: this.customStart,
+        customEnd: this.customEnd,
+      };
+    }
+    this.range = "custom";
+    this.setCustomRange(start, end);
+    this.render();
+  }
+
+  // 点击柱子：通知外部按该时间段筛选
+  selectBucket(bucket) {
+    if (!this.onSelectPeriod) return;
+    this.onSelectPeriod(
+      bucket.start.getTime() / 1000,
+      bucket.end.getTime() / 1000,
+      formatBucketTitle(bucket, this.bucket)
+    );
+  }
+}
+
+export { TrendChart };
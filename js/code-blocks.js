@@ -0,0 +1,130 @@
+// 代码块：按语言高亮，显示行号和复制按钮，过长的代码块默认折叠
+import { escapeHtml } from "./sanitize.js";
+
+// 超过这个行数的代码块默认折叠
+const COLLAPSE_LINES = 25;
+
+// 未标注语言时只对不太长的代码自动识别，避免拖慢渲染
+const AUTO_DETECT_LIMIT = 5000;
+
+// marked 生成的代码块
+const CODE_BLOCK_PATTERN =
+  /<pre><code(?: class="language-([^"]*)")?>([\s\S]*?)<\/code><\/pre>/g;
+
+const LANGUAGE_ALIASES = {
+  js: "javascript",
+  ts: "typescript",
+  py: "python",
+  sh: "bash",
+  zsh: "bash",
+  shell: "bash",
+  console: "bash",
+  yml: "yaml",
+  html: "xml",
+  vue: "xml",
+  "c++": "cpp",
+  "c#": "csharp",
+  cs: "csharp",
+  golang: "go",
+  rs: "rust",
+  kt: "kotlin",
+  md: "markdown",
+  text: "plaintext",
+  txt: "plaintext",
+};
+
+function unescapeHtml(html) {
+  return html
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, "\u00a0")
+    .replace(/&amp;/g, "&");
+}
+
+// 高亮代码，返回 { html, language }；没有加载 highlight.js 时只转义
+function highlightCode(code, language) {
+  const name = LANGUAGE_ALIASES[language] || language;
+  if (typeof hljs === "undefined") {
+    return { html: escapeHtml(code), language: name };
+  }
+  try {
+    if (name && hljs.getLanguage(name)) {
+      const result = hljs.highlight(code, {
+        language: name,
+        ignoreIllegals: true,
+      });
+      return { html: result.value, language: name };
+    }
+    if (!name && code.length <= AUTO_DETECT_LIMIT) {
+      const result = hljs.highlightAuto(code);
+      return { html: result.value, language: result.language || "" };
+    }
+  } catch (error) {
+    console.warn("代码高亮错误:", error);
+  }
+  return { html: escapeHtml(code), language: name };
+}
+
+// 把高亮后的 HTML 按行拆开，跨行的 span 在行尾关闭、下一行重新打开
+function splitLines(html) {
+  const open = [];
+  return html.split("\n").map((line) => {
+    const prefix = open.join("");
+    for (const [tag] of line.matchAll(/<span[^>]*>|<\/span>/g)) {
+      if (tag === "</span>") {
+        open.pop();
+      } else {
+        open.push(tag);
+      }
+    }
+    return prefix + line + "</span>".repeat(open.length);
+  });
+}
+
+// 生成带行号、语言标签和复制按钮的代码块
+function renderCodeBlock(code, language = "") {
+  const source = code.replace(/\n$/, "");
+  const highlighted = highlightCode(source, language.trim().toLowerCase());
+  const lines = splitLines(highlighted.html);
+  const collapsible = lines.length > COLLAPSE_LINES;
+
+  return `
+    <div class="code-block${collapsible ? " collapsed" : ""}">
+      <div class="code-block-header">
+        <span class="code-block-language">${escapeHtml(
+          highlighted.language || "text"
+        )}</span>
+        <button class="code-block-btn code-copy-btn" title="复制代码"
+          data-action="copyCode">复制</button>
+      </div>
+      <pre><code class="hljs">${lines
+        .map((line) => `<span class="code-line">${line}</span>`)
+        .join("")}</code></pre>
+      ${
+        collapsible
+          ? `<button class="code-block-toggle"
+              data-action="toggleCodeBlock">展开全部 ${lines.length} 行</button>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+// 替换 marked 输出中的代码块
+function enhanceCodeBlocks(html) {
+  if (!html.includes("<pre><code")) return html;
+  return html.replace(CODE_BLOCK_PATTERN, (match, language, content) =>
+    renderCodeBlock(unescapeHtml(content), language || "")
+  );
+}
+
+// 代码块的纯文本（不含行号）
+function getCodeText(codeBlock) {
+  return Array.from(codeBlock.querySelectorAll(".code-line"))
+    .map((line) => line.textContent)
+    .join("\n");
+}
+
+export { renderCodeBlock, enhanceCodeBlocks, getCodeText };
@@ -0,0 +1,211 @@
+// 命令面板（Ctrl/⌘+K）：模糊搜索对话标题和常用操作，方向键选择、回车执行
+import { registerActions } from "./actions.js";
+import { escapeHtml } from "./sanitize.js";
+
+// 输入为空时显示的最近对话数，以及最多显示的结果数
+const RECENT_LIMIT = 20;
+const RESULT_LIMIT = 50;
+
+// 模糊匹配：query 的字符按顺序出现在 text 中即为匹配，忽略大小写和空白
+// 返回 { score, indices }，不匹配时返回 null；连续命中和词首命中得分更高
+function fuzzyMatch(query, text) {
+  const pattern = query.toLowerCase().replace(/\s+/g, "");
+  // 按字符而不是 UTF-16 单元计算位置，与 highlightMatch 一致
+  const target = Array.from(text.toLowerCase());
+  if (!pattern) return { score: 0, indices: [] };
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const char of pattern) {
+    const index = target.indexOf(char, from);
+    if (index === -1) return null;
+    const previous = indices[indices.length - 1];
+    if (previous !== undefined && index === previous + 1) {
+      score += 5;
+    } else if (index === 0 || /[\s\-_/.:：]/.test(target[index - 1])) {
+      score += 3;
+    }
+    score += 1;
+    indices.push(index);
+    from = index + 1;
+  }
+  // 匹配越集中、标题越短越靠前
+  score -= (indices[indices.length - 1] - indices[0]) * 0.1;
+  score -= target.length * 0.01;
+  return { score, indices };
+}
+
+// 把命中的字符用 <mark> 标出
+function highlightMatch(text, indices) {
+  const matched = new Set(indices);
+  return Array.from(text)
+    .map((char, i) =>
+      matched.has(i) ? `<mark>${escapeHtml(char)}</mark>` : escapeHtml(char)
+    )
+    .join("");
+}
+
+class CommandPalette {
+  constructor() {
+    this.getItems = null;
+    this.items = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.returnFocus = null;
+  }
+
+  // getItems() 返回 [{ type: "action" | "conversation", label, hint, run() }]
+  // 每次打开时重新获取
+  init(getItems) {
+    this.getItems = getItems;
+    this.overlay = document.getElementById("commandPalette");
+    this.input = document.getElementById("commandPaletteInput");
+    this.list = document.getElementById("commandPaletteList");
+
+    this.input.addEventListener("input", () => this.filter());
+    this.input.addEventListener("keydown", (event) => this.onKeydown(event));
+    // 点击面板外的区域关闭
+    this.overlay.addEventListener("mousedown", (event) => {
+      if (event.target === this.overlay) this.close();
+    });
+  }
+
+  isOpen() {
+    return !this.overlay.classList.contains("hidden");
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.returnFocus = document.activeElement;
+    this.items = this.getItems();
+    this.input.value = "";
+    this.overlay.classList.remove("hidden");
+    this.input.setAttribute("aria-expanded", "true");
+    this.filter();
+    this.input.focus();
+  }
+
+  // 关闭后焦点回到打开前的位置
+  close() {
+    this.overlay.classList.add("hidden");
+    this.input.setAttribute("aria-expanded", "false");
+    this.input.removeAttribute("aria-activedescendant");
+    if (this.returnFocus?.isConnected) this.returnFocus.focus();
+    this.returnFocus = null;
+  }
+
+  filter() {
+    const query = this.input.value.trim();
+    if (!query) {
+      // 先列出操作，再列出最近的对话
+      const actions = this.items.filter((item) => item.type === "action");
+      const conversations = this.items
+        .filter((item) => item.type === "conversation")
+        .slice(0, RECENT_LIMIT);
+      this.results = [...actions, ...conversations].map((item) => ({
+        item,
+        indices: [],
+      }));
+    } else {
+      this.results = this.items
+        .map((item) => ({ item, match: fuzzyMatch(query, item.label) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, RESULT_LIMIT)
+        .map(({ item, match }) => ({ item, indices: match.indices }));
+    }
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  render() {
+    if (this.results.length === 0) {
+      this.list.innerHTML =
+        '<li class="command-empty">没有匹配的对话或操作</li>';
+      this.input.removeAttribute("aria-activedescendant");
+      return;
+    }
+    this.list.innerHTML = this.results
+      .map(
+        ({ item, indices }, index) => `
+        <li id="command-option-${index}" role="option"
+          class="command-option ${index === this.activeIndex ? "active" : ""}"
+          aria-selected="${index === this.activeIndex}"
+          data-action="runCommand" data-index="${index}">
+          <span class="command-label">${highlightMatch(
+            item.label,
+            indices
+          )}</span>
+          <span class="command-hint">${escapeHtml(item.hint || "")}</span>
+        </li>`
+      )
+      .join("");
+    this.input.setAttribute(
+      "aria-activedescendant",
+      `command-option-${this.activeIndex}`
+    );
+  }
+
+  // 移动选中项并保持在可见范围内
+  move(step) {
+    if (this.results.length === 0) return;
+    const count = this.results.length;
+    this.activeIndex = (this.activeIndex + step + count) % count;
+    this.list.querySelectorAll(".command-option").forEach((option, index) => {
+      const active = index === this.activeIndex;
+      option.classList.toggle("active", active);
+      option.setAttribute("aria-selected", String(active));
+      if (active) option.scrollIntoView({ block: "nearest" });
+    });
+    this.input.setAttribute(
+      "aria-activedescendant",
+      `command-option-${this.activeIndex}`
+    );
+  }
+
+  // 关闭面板后执行，执行中打开的对话框可以拿到焦点
+  run(index) {
+    const result = this.results[index];
+    if (!result) return;
+    this.close();
+    result.item.run();
+  }
+
+  onKeydown(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        this.move(1);
+        break;
+      case "ArrowUp":
+        this.move(-1);
+        break;
+      case "Enter":
+        if (event.isComposing) return;
+        this.run(this.activeIndex);
+        break;
+      case "Escape":
+        this.close();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  }
+}
+
+const commandPalette = new CommandPalette();
+
+registerActions({
+  runCommand: (el) => commandPalette.run(Number(el.dataset.index)),
+});
+
+export { commandPalette, fuzzyMatch };
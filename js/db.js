@@ -1,6 +1,48 @@
 // IndexedDB 数据库管理
+import { createConversationSummary } from "./parser.js";
+
 const DB_NAME = "ChatGPTViewerDB";
-const DB_VERSION = 1;
+const DB_VERSION = 8;
+
+function createFavorite(conversationId, title) {
+  return {
+    conversationId,
+    timestamp: Date.now(),
+    title: title || "未命名对话",
+    collectionId: null,
+    tags: [],
+    note: "",
+    color: "",
+  };
+}
+
+// 在升级事务中为已保存的对话补建摘要，旧版本的数据不需要重新导入
+function migrateConversationSummaries(tx) {
+  const summaries = tx.objectStore("conversationSummaries");
+  tx.objectStore("conversations").openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    summaries.put(createConversationSummary(cursor.value));
+    cursor.continue();
+  };
+}
+
+// 在升级事务中迁移收藏记录（对话可能被清除，标题需要保存在收藏里）
+function migrateFavorites(tx) {
+  const conversations = tx.objectStore("conversations");
+  tx.objectStore("favorites").openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const fav = cursor.value;
+    conversations.get(fav.conversationId).onsuccess = (e) => {
+      cursor.update({
+        ...createFavorite(fav.conversationId, e.target.result?.title),
+        ...fav,
+      });
+      cursor.continue();
+    };
+  };
+}
 
 class ChatDatabase {
   constructor() {
@@ -42,25 +84,95 @@ class ChatDatabase {
           });
           favStore.createIndex("timestamp", "timestamp", { unique: false });
         }
+
+        // 附件表（导出压缩包中的图片、音频）
+        if (!db.objectStoreNames.contains("assets")) {
+          db.createObjectStore("assets", { keyPath: "id" });
+        }
+
+        // 导出元数据表（user.json、message_feedback.json）
+        if (!db.objectStoreNames.contains("exportMeta")) {
+          db.createObjectStore("exportMeta", { keyPath: "key" });
+        }
+
+        // 全文搜索倒排索引表（词 -> [[对话ID, 词频], ...]）
+        if (!db.objectStoreNames.contains("searchIndex")) {
+          db.createObjectStore("searchIndex", { keyPath: "token" });
+        }
+
+        // 保存的查询表（不随对话数据清除）
+        if (!db.objectStoreNames.contains("savedQueries")) {
+          db.createObjectStore("savedQueries", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+
+        // 导入记录表
+        if (!db.objectStoreNames.contains("importHistory")) {
+          db.createObjectStore("importHistory", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+
+        // 收藏夹表（不随对话数据清除）
+        if (!db.objectStoreNames.contains("collections")) {
+          db.createObjectStore("collections", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+
+        // 消息书签和高亮表（不随对话数据清除）
+        if (!db.objectStoreNames.contains("bookmarks")) {
+          const bookmarkStore = db.createObjectStore("bookmarks", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          bookmarkStore.createIndex("conversationId", "conversationId", {
+            unique: false,
+          });
+        }
+
+        // 对话摘要表：列表和统计只读这张表，完整消息在打开对话时再读取
+        if (!db.objectStoreNames.contains("conversationSummaries")) {
+          const summaryStore = db.createObjectStore("conversationSummaries", {
+            keyPath: "id",
+          });
+          summaryStore.createIndex("create_time", "create_time", {
+            unique: false,
+          });
+          if (event.oldVersion > 0) {
+            migrateConversationSummaries(event.target.transaction);
+          }
+        }
+
+        // 旧版收藏只有对话ID和时间，补上标题、标签、备注等字段
+        if (event.oldVersion > 0 && event.oldVersion < 6) {
+          migrateFavorites(event.target.transaction);
+        }
       };
     });
   }
 
-  // 保存所有对话数据
+  // 保存对话数据和摘要，事务提交后返回（分批导入时每批一个事务）
   async saveConversations(conversations) {
-    const tx = this.db.transaction(["conversations"], "readwrite");
-    const store = tx.objectStore("conversations");
-
-    const promises = conversations.map((conv) => {
-      return new Promise((resolve, reject) => {
-        const request = store.put(conv);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["conversations", "conversationSummaries"],
+        "readwrite"
+      );
+      const store = tx.objectStore("conversations");
+      const summaryStore = tx.objectStore("conversationSummaries");
+      conversations.forEach((conv) => {
+        store.put(conv);
+        summaryStore.put(createConversationSummary(conv));
       });
-    });
 
-    await Promise.all(promises);
-    return tx.complete;
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
   }
 
   // 获取所有对话
@@ -77,6 +189,47 @@ class ChatDatabase {
     });
   }
 
+  // 获取所有对话的摘要，用于列表和统计
+  async getConversationSummaries() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["conversationSummaries"], "readonly");
+      const store = tx.objectStore("conversationSummaries");
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 获取单个对话的摘要
+  async getConversationSummary(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["conversationSummaries"], "readonly");
+      const store = tx.objectStore("conversationSummaries");
+      const request = store.get(id);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 获取多个对话的完整信息，按 ids 的顺序返回，不存在的跳过
+  async getConversations(ids) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["conversations"], "readonly");
+      const store = tx.objectStore("conversations");
+      const results = new Array(ids.length);
+      ids.forEach((id, i) => {
+        store.get(id).onsuccess = (event) => {
+          results[i] = event.target.result;
+        };
+      });
+
+      tx.oncomplete = () => resolve(results.filter(Boolean));
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // 获取单个对话的完整信息
   async getConversation(id) {
     return new Promise((resolve, reject) => {
@@ -89,18 +242,46 @@ class ChatDatabase {
     });
   }
 
+  // 删除多个对话及其摘要
+  async deleteConversations(ids) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["conversations", "conversationSummaries"],
+        "readwrite"
+      );
+      const store = tx.objectStore("conversations");
+      const summaryStore = tx.objectStore("conversationSummaries");
+      ids.forEach((id) => {
+        store.delete(id);
+        summaryStore.delete(id);
+      });
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // 收藏
-  async addFavorite(conversationId) {
+  async addFavorite(conversationId, title) {
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction(["favorites"], "readwrite");
       const store = tx.objectStore("favorites");
 
-      const favorite = {
-        conversationId,
-        timestamp: Date.now(),
-      };
+      const favorite = createFavorite(conversationId, title);
 
       const request = store.add(favorite);
+      request.onsuccess = () => resolve({ ...favorite, id: request.result });
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 保存收藏的标签、备注、颜色和所属收藏夹（没有 id 时新增）
+  async saveFavorite(favorite) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["favorites"], "readwrite");
+      const store = tx.objectStore("favorites");
+      const request = store.put(favorite);
+
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
@@ -151,9 +332,262 @@ class ChatDatabase {
     });
   }
 
-  // 清空所有数据
+  // 收藏夹
+  async saveCollection(collection) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["collections"], "readwrite");
+      const store = tx.objectStore("collections");
+      const request = store.put(collection);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 删除收藏夹，其中的收藏移到未分组
+  async removeCollection(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(
+        ["collections", "favorites"],
+        "readwrite"
+      );
+      tx.objectStore("collections").delete(id);
+      tx.objectStore("favorites").openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (cursor.value.collectionId === id) {
+          cursor.update({ ...cursor.value, collectionId: null });
+        }
+        cursor.continue();
+      };
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async getCollections() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["collections"], "readonly");
+      const store = tx.objectStore("collections");
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 消息书签
+  async saveBookmark(bookmark) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["bookmarks"], "readwrite");
+      const store = tx.objectStore("bookmarks");
+      const request = store.put(bookmark);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async removeBookmark(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["bookmarks"], "readwrite");
+      const store = tx.objectStore("bookmarks");
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getBookmarks() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["bookmarks"], "readonly");
+      const store = tx.objectStore("bookmarks");
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 保存附件
+  async saveAsset(asset) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["assets"], "readwrite");
+      const store = tx.objectStore("assets");
+      const request = store.put(asset);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 删除多个附件
+  async deleteAssets(ids) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["assets"], "readwrite");
+      const store = tx.objectStore("assets");
+      ids.forEach((id) => store.delete(id));
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // 获取附件
+  async getAsset(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["assets"], "readonly");
+      const store = tx.objectStore("assets");
+      const request = store.get(id);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 保存导出元数据
+  async saveMeta(key, value) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["exportMeta"], "readwrite");
+      const store = tx.objectStore("exportMeta");
+      const request = store.put({ key, value });
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 获取导出元数据
+  async getMeta(key) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["exportMeta"], "readonly");
+      const store = tx.objectStore("exportMeta");
+      const request = store.get(key);
+
+      request.onsuccess = () => resolve(request.result?.value);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 重建搜索索引
+  async saveSearchIndex(index) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["searchIndex"], "readwrite");
+      const store = tx.objectStore("searchIndex");
+      store.clear();
+      index.forEach((postings, token) => store.put({ token, postings }));
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // 获取单个词的索引
+  async getSearchIndexEntry(token) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["searchIndex"], "readonly");
+      const store = tx.objectStore("searchIndex");
+      const request = store.get(token);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 按前缀获取索引
+  async getSearchIndexByPrefix(prefix, limit) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["searchIndex"], "readonly");
+      const store = tx.objectStore("searchIndex");
+      const range = IDBKeyRange.bound(prefix, prefix + "\uffff");
+      const request = store.getAll(range, limit);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 索引中的词数
+  async countSearchIndex() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["searchIndex"], "readonly");
+      const store = tx.objectStore("searchIndex");
+      const request = store.count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 保存查询
+  async addSavedQuery(name, query) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["savedQueries"], "readwrite");
+      const store = tx.objectStore("savedQueries");
+      const request = store.add({ name, query, timestamp: Date.now() });
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async removeSavedQuery(id) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["savedQueries"], "readwrite");
+      const store = tx.objectStore("savedQueries");
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getSavedQueries() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["savedQueries"], "readonly");
+      const store = tx.objectStore("savedQueries");
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 导入记录
+  async addImportHistory(entry) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["importHistory"], "readwrite");
+      const store = tx.objectStore("importHistory");
+      const request = store.add({ ...entry, timestamp: Date.now() });
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getImportHistory() {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(["importHistory"], "readonly");
+      const store = tx.objectStore("importHistory");
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // 清空对话数据（收藏、收藏夹、书签和保存的查询会保留）
   async clearAll() {
-    const stores = ["conversations", "favorites"];
+    const stores = [
+      "conversations",
+      "conversationSummaries",
+      "assets",
+      "exportMeta",
+      "searchIndex",
+      "importHistory",
+    ];
     const promises = stores.map((storeName) => {
       return new Promise((resolve, reject) => {
         const tx = this.db.transaction([storeName], "readwrite");
@@ -170,7 +604,7 @@ class ChatDatabase {
 
   // 获取数据库统计信息
   async getStats() {
-    const conversations = await this.getAllConversations();
+    const conversations = await this.getConversationSummaries();
     const favorites = await this.getFavorites();
     return {
       conversationsCount: conversations.length,
@@ -0,0 +1,443 @@
+// 导出对话：Markdown（单个文件或每个对话一个文件打包为 zip）、HTML、JSON、CSV
+import { createZip } from "./zip.js";
+import { formatDate, blobToDataUrl } from "./ui.js";
+import { escapeHtml } from "./sanitize.js";
+
+const EXPORT_OPTIONS_KEY = "chatgpt-viewer-export-options";
+// 旧版只保存 Markdown 导出设置，新设置不存在时从这里读取
+const LEGACY_OPTIONS_KEY = "chatgpt-viewer-markdown-options";
+
+// JSON 导出的格式标识，便于其他工具识别
+const JSON_FORMAT = "chatgpt-viewer-conversations";
+const JSON_VERSION = 1;
+
+const DEFAULT_EXPORT_OPTIONS = {
+  format: "markdown",
+  theme: "auto",
+  roleLabels: true,
+  timestamps: true,
+  frontMatter: false,
+  headingLevel: 1,
+  splitFiles: false,
+};
+
+const ROLE_NAMES = {
+  user: "You",
+  assistant: "Agent",
+  tool: "Tool",
+  system: "System",
+};
+
+function loadExportOptions() {
+  try {
+    const saved = JSON.parse(
+      localStorage.getItem(EXPORT_OPTIONS_KEY) ??
+        localStorage.getItem(LEGACY_OPTIONS_KEY)
+    );
+    return { ...DEFAULT_EXPORT_OPTIONS, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_EXPORT_OPTIONS };
+  }
+}
+
+function saveExportOptions(options) {
+  try {
+    localStorage.setItem(EXPORT_OPTIONS_KEY, JSON.stringify(options));
+  } catch (error) {
+    console.warn("无法保存导出设置:", error);
+  }
+}
+
+function toIsoTime(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : "";
+}
+
+// YAML 字符串统一用双引号，避免标题中的冒号等字符破坏格式
+function yamlString(value) {
+  return JSON.stringify(String(value ?? ""));
+}
+
+// 对话使用过的模型（默认模型在前）
+function getModels(conv) {
+  const models = new Set();
+  if (conv.default_model_slug) models.add(conv.default_model_slug);
+  (conv.messages || []).forEach((msg) => {
+    if (msg.model) models.add(msg.model);
+  });
+  return Array.from(models);
+}
+
+function createFrontMatter(conv, tags) {
+  const models = getModels(conv);
+  const lines = [
+    `id: ${yamlString(conv.id)}`,
+    `title: ${yamlString(conv.title || "未命名对话")}`,
+    `model: ${yamlString(models[0] || "")}`,
+  ];
+  if (models.length > 1) {
+    lines.push("models:", ...models.map((model) => `  - ${yamlString(model)}`));
+  }
+  lines.push(
+    `create_time: ${yamlString(toIsoTime(conv.create_time))}`,
+    `update_time: ${yamlString(toIsoTime(conv.update_time))}`,
+    `messages: ${conv.messageCount || 0}`
+  );
+  lines.push(
+    tags.length > 0
+      ? `tags:\n${tags.map((tag) => `  - ${yamlString(tag)}`).join("\n")}`
+      : "tags: []"
+  );
+  return lines.join("\n");
+}
+
+// 单个对话的 Markdown
+// standalone 为 true 时（每个对话一个文件）元数据写成文件开头的 YAML front matter，
+// 合并为一个文件时写成 yaml 代码块
+function conversationToMarkdown(conv, options, { tags = [], standalone } = {}) {
+  const level = Math.min(Math.max(Number(options.headingLevel) || 1, 1), 5);
+  const heading = "#".repeat(level);
+  let markdown = "";
+
+  if (options.frontMatter && standalone) {
+    markdown += `---\n${createFrontMatter(conv, tags)}\n---\n\n`;
+  }
+
+  markdown += `${heading} ${conv.title || "未命名对话"}\n\n`;
+
+  if (options.frontMatter && !standalone) {
+    markdown += "```yaml\n" + createFrontMatter(conv, tags) + "\n```\n\n";
+  } else if (!options.frontMatter) {
+    markdown += `create_time: ${formatDate(conv.create_time)}\n\n`;
+    markdown += `messages_count: ${conv.messageCount}\n\n`;
+  }
+
+  (conv.messages || []).forEach((msg) => {
+    if (options.roleLabels) {
+      markdown += `${heading}# ${ROLE_NAMES[msg.role] || msg.role}\n\n`;
+    }
+    markdown += `${msg.content}\n\n`;
+    if (options.timestamps) {
+      markdown += `*${formatDate(msg.createTime)}*\n\n`;
+    }
+  });
+
+  return markdown;
+}
+
+// 所有对话合并为一个 Markdown 文件
+function conversationsToMarkdown(conversations, options, getTags) {
+  let markdown = "";
+  markdown += `export_time: ${formatDate(Date.now() / 1000)}\n\n`;
+  markdown += `conversations_count: ${conversations.length}\n\n`;
+  markdown += `---\n\n`;
+
+  conversations.forEach((conv) => {
+    markdown += conversationToMarkdown(conv, options, {
+      tags: getTags(conv),
+      standalone: false,
+    });
+    markdown += `\n---\n\n`;
+  });
+
+  return markdown;
+}
+
+// 生成可用作文件名的标题，重名时加上序号
+function createFileNamer() {
+  const used = new Set();
+  return (title) => {
+    const base =
+      (title || "未命名对话")
+        .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 80) || "未命名对话";
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) {
+      name = `${base} (${i})`;
+    }
+    used.add(name.toLowerCase());
+    return `${name}.md`;
+  };
+}
+
+// 链接中的文件名需要转义空格和括号
+function encodeFileName(name) {
+  return encodeURIComponent(name).replace(/\(/g, "%28").replace(/\)/g, "%29");
+}
+
+// 每个对话一个 Markdown 文件，附带索引，打包为 zip
+async function conversationsToMarkdownZip(conversations, options, getTags) {
+  const nameFile = createFileNamer();
+  const files = conversations.map((conv) => ({
+    conv,
+    name: nameFile(conv.title),
+  }));
+
+  const index = [
+    "# 对话索引",
+    "",
+    `export_time: ${formatDate(Date.now() / 1000)}`,
+    "",
+    `conversations_count: ${conversations.length}`,
+    "",
+    ...files.map(({ conv, name }) => {
+      const title = (conv.title || "未命名对话").replace(/[[\]]/g, "");
+      const link = `conversations/${encodeFileName(name)}`;
+      return `- [${title}](${link}) · ${formatDate(conv.create_time)}`;
+    }),
+    "",
+  ].join("\n");
+
+  return createZip([
+    { name: "index.md", data: index },
+    ...files.map(({ conv, name }) => ({
+      name: `conversations/${name}`,
+      data: conversationToMarkdown(conv, options, {
+        tags: getTags(conv),
+        standalone: true,
+      }),
+    })),
+  ]);
+}
+
+// 规范化的 JSON：只保留解析后的消息结构，不含原始 mapping
+function conversationsToJson(conversations, getTags) {
+  const data = {
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: conversations.map((conv) => ({
+      id: conv.id,
+      title: conv.title || "未命名对话",
+      create_time: conv.create_time || null,
+      update_time: conv.update_time || null,
+      model: conv.default_model_slug || null,
+      models: getModels(conv),
+      tags: getTags(conv),
+      messages: (conv.messages || []).map((msg) => ({
+        id: msg.id,
+        role: msg.role,
+        model: msg.model || null,
+        createTime: msg.createTime || null,
+        content: msg.content || "",
+        blocks: msg.blocks || [],
+        attachments: msg.attachments || [],
+        feedback: msg.feedback || null,
+      })),
+    })),
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+const CSV_COLUMNS = [
+  "conversation_id",
+  "conversation_title",
+  "message_id",
+  "role",
+  "model",
+  "time",
+  "characters",
+];
+
+// 表格软件会把 = + - @ 开头的单元格当作公式，前面加 ' 避免被执行
+function csvCell(value) {
+  let text = String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 每条消息一行，便于在表格软件中分析
+function conversationsToCsv(conversations) {
+  const rows = [CSV_COLUMNS];
+  conversations.forEach((conv) => {
+    (conv.messages || []).forEach((msg) => {
+      rows.push([
+        conv.id,
+        conv.title || "未命名对话",
+        msg.id,
+        msg.role,
+        msg.model || conv.default_model_slug || "",
+        toIsoTime(msg.createTime),
+        (msg.content || "").length,
+      ]);
+    });
+  });
+  // 开头的 BOM 让 Excel 以 UTF-8 打开
+  return (
+    "\ufeff" + rows.map((row) => row.map(csvCell).join(",")).join("\r\n")
+  );
+}
+
+// 页面当前使用的样式，导出的 HTML 与查看器外观一致
+// 跨域样式表（如字体）无法读取，直接跳过
+// 导出的页面会离开查看器单独打开，@font-face 中的字体改为 data URL 内嵌；
+// 没有公式时去掉 KaTeX 的字体，不增加文件大小
+async function collectStyles({ includeMathFonts }) {
+  const rules = [];
+  for (const sheet of Array.from(document.styleSheets)) {
+    let cssRules;
+    try {
+      cssRules = Array.from(sheet.cssRules);
+    } catch (error) {
+      continue;
+    }
+    for (const rule of cssRules) {
+      if (!(rule instanceof CSSFontFaceRule)) {
+        rules.push(rule.cssText);
+      } else if (includeMathFonts || !rule.cssText.includes("KaTeX_")) {
+        rules.push(await inlineFonts(rule.cssText, sheet.href));
+      }
+    }
+  }
+  return rules.join("\n");
+}
+
+// 把 woff2 字体地址换成 data URL；其他格式的地址在 woff2 可用时不会被读取，
+// 读取失败时保留原地址
+async function inlineFonts(cssText, baseUrl) {
+  const urls = new Set(
+    Array.from(
+      cssText.matchAll(/url\(\s*(["']?)([^"')]+\.woff2)\1\s*\)/g),
+      (match) => match[2]
+    )
+  );
+  let result = cssText;
+  for (const url of urls) {
+    try {
+      const response = await fetch(new URL(url, baseUrl || location.href));
+      if (!response.ok) continue;
+      const dataUrl = await blobToDataUrl(await response.blob());
+      result = result.split(url).join(dataUrl);
+    } catch (error) {
+      console.warn("无法内嵌字体:", url, error);
+    }
+  }
+  return result;
+}
+
+// 导出页面自己的布局：取消查看器中的固定高度和滚动区域
+const HTML_PAGE_STYLE = `
+.export-page { max-width: 960px; padding-top: 20px; padding-bottom: 40px; }
+.export-page .card { margin-bottom: 20px; }
+.export-page .messages-container { max-height: none; }
+.export-page .messages-list { overflow: visible; }
+.export-header { display: flex; align-items: center; gap: 12px; }
+.export-header h1 {
+  flex: 1;
+  font-size: 1.8rem;
+  font-weight: 400;
+  color: var(--text-secondary);
+}
+.export-header .theme-toggle { position: static; }
+.export-meta { margin-bottom: 8px; }
+.export-toc ol { padding-left: 1.5em; }
+.export-toc a { color: var(--text-secondary); }
+@media print {
+  .export-page .theme-toggle, .export-toc { display: none; }
+  .export-page .card { box-shadow: none; }
+}
+`;
+
+// 导出页面中的主题切换
+const HTML_PAGE_SCRIPT = `
+document.getElementById("themeToggle").addEventListener("click", function () {
+  var root = document.documentElement;
+  var theme = root.getAttribute("data-theme") === "dark" ? "light" : "dark";
+  root.setAttribute("data-theme", theme);
+});
+`;
+
+function conversationToHtml(conv, options, renderedMessages) {
+  const models = getModels(conv);
+  const meta = [
+    `创建于 ${formatDate(conv.create_time)}`,
+    `${conv.messageCount || 0} 条消息`,
+    ...(models.length > 0 ? [models.join(", ")] : []),
+  ].join(" · ");
+  return `
+<article id="conv-${escapeHtml(conv.id)}" class="card messages-container">
+  <h2>${escapeHtml(conv.title || "未命名对话")}</h2>
+  <div class="like-label export-meta">${escapeHtml(meta)}</div>
+  <div class="messages-list">${renderedMessages}</div>
+</article>`;
+}
+
+// 生成独立的 HTML 文件（样式和附件都内嵌在文件中）
+// renderMessages(conv, options) 返回对话消息的 HTML
+async function conversationsToHtml(conversations, options, renderMessages) {
+  const title =
+    conversations.length === 1
+      ? conversations[0].title || "未命名对话"
+      : `${conversations.length} 个对话`;
+  const theme =
+    options.theme === "auto"
+      ? document.documentElement.getAttribute("data-theme") || "light"
+      : options.theme;
+
+  const articles = [];
+  for (const conv of conversations) {
+    articles.push(
+      conversationToHtml(conv, options, await renderMessages(conv, options))
+    );
+  }
+
+  const includeMathFonts = articles.some((html) =>
+    html.includes('class="katex')
+  );
+
+  const toc =
+    conversations.length > 1
+      ? `
+<nav class="card export-toc">
+  <ol>${conversations
+    .map(
+      (conv) =>
+        `<li><a href="#conv-${escapeHtml(conv.id)}">${escapeHtml(
+          conv.title || "未命名对话"
+        )}</a></li>`
+    )
+    .join("")}</ol>
+</nav>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN" data-theme="${escapeHtml(theme)}">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<style>
+${await collectStyles({ includeMathFonts })}
+${HTML_PAGE_STYLE}
+</style>
+</head>
+<body>
+<div class="container export-page">
+<div class="export-header">
+  <h1>${escapeHtml(title)}</h1>
+  <div class="theme-toggle">
+    <button id="themeToggle" class="theme-btn" title="切换主题">:D</button>
+  </div>
+</div>
+<p class="like-label">导出于 ${escapeHtml(formatDate(Date.now() / 1000))}</p>
+${toc}
+${articles.join("\n")}
+</div>
+<script>${HTML_PAGE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export {
+  loadExportOptions,
+  saveExportOptions,
+  conversationsToMarkdown,
+  conversationsToMarkdownZip,
+  conversationsToHtml,
+  conversationsToJson,
+  conversationsToCsv,
+};
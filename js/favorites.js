@@ -1,8 +1,29 @@
 import chatDB from "./db.js";
 
+// 收藏和收藏夹可选的颜色
+const FAVORITE_COLORS = [
+  "",
+  "#e57373",
+  "#ffb74d",
+  "#fff176",
+  "#81c784",
+  "#64b5f6",
+  "#ba68c8",
+];
+
+// 把 "a, b，c" 这样的输入拆成去重后的标签
+function parseTags(text) {
+  const tags = (text || "")
+    .split(/[,，\s]+/)
+    .map((tag) => tag.trim().replace(/^#/, ""))
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
 class FavoritesManager {
   constructor() {
     this.favorites = new Map(); // conversationId -> favorite对象
+    this.collections = new Map(); // 收藏夹ID -> { id, name, timestamp }
   }
 
   // 初始化收藏数据
@@ -10,10 +31,18 @@ class FavoritesManager {
     const favorites = await chatDB.getFavorites();
     this.favorites.clear();
     for (const fav of favorites) {
-      const conv = await chatDB.getConversation(fav.conversationId);
-      fav.title = conv?.title || "未命名对话";
+      // 对话还在时同步最新标题，对话被清除后沿用保存的标题
+      const conv = await chatDB.getConversationSummary(fav.conversationId);
+      fav.title = conv?.title || fav.title || "未命名对话";
+      fav.available = !!conv;
       this.favorites.set(fav.conversationId, fav);
     }
+
+    const collections = await chatDB.getCollections();
+    this.collections.clear();
+    collections.forEach((collection) => {
+      this.collections.set(collection.id, collection);
+    });
   }
 
   // 切换收藏状态
@@ -29,13 +58,11 @@ class FavoritesManager {
 
   // 添加收藏
   async addFavorite(conversationId, conversation) {
-    const id = await chatDB.addFavorite(conversationId);
-    this.favorites.set(conversationId, {
-      id,
+    const favorite = await chatDB.addFavorite(
       conversationId,
-      timestamp: Date.now(),
-      title: conversation?.title || "未命名对话",
-    });
+      conversation?.title
+    );
+    this.favorites.set(conversationId, { ...favorite, available: true });
   }
 
   // 移除收藏
@@ -44,17 +71,75 @@ class FavoritesManager {
     this.favorites.delete(conversationId);
   }
 
+  // 修改标签、备注、颜色或收藏夹
+  async updateFavorite(conversationId, changes) {
+    const fav = this.favorites.get(conversationId);
+    if (!fav) return;
+    Object.assign(fav, changes);
+    const { available, ...record } = fav;
+    await chatDB.saveFavorite(record);
+  }
+
   // 检查是否已收藏
   isFavorite(conversationId) {
     return this.favorites.has(conversationId);
   }
 
-  // 获取所有收藏
-  async getAllFavorites() {
-    const favArray = Array.from(this.favorites.values());
+  getFavorite(conversationId) {
+    return this.favorites.get(conversationId) || null;
+  }
+
+  // 获取所有收藏，可按收藏夹（"none" 为未分组）和标签筛选
+  async getAllFavorites({ collectionId = "", tag = "" } = {}) {
+    const favArray = Array.from(this.favorites.values()).filter((fav) => {
+      if (collectionId === "none" && fav.collectionId) return false;
+      if (
+        collectionId &&
+        collectionId !== "none" &&
+        fav.collectionId !== Number(collectionId)
+      ) {
+        return false;
+      }
+      return !tag || (fav.tags || []).includes(tag);
+    });
     return favArray.sort((a, b) => b.timestamp - a.timestamp);
   }
 
+  // 所有用过的标签
+  getAllTags() {
+    const tags = new Set();
+    this.favorites.forEach((fav) => {
+      (fav.tags || []).forEach((tag) => tags.add(tag));
+    });
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  // 收藏夹
+  async saveCollection(collection) {
+    const id = await chatDB.saveCollection(collection);
+    const saved = { ...collection, id };
+    this.collections.set(id, saved);
+    return saved;
+  }
+
+  async removeCollection(id) {
+    await chatDB.removeCollection(id);
+    this.collections.delete(id);
+    this.favorites.forEach((fav) => {
+      if (fav.collectionId === id) fav.collectionId = null;
+    });
+  }
+
+  getCollection(id) {
+    return this.collections.get(id) || null;
+  }
+
+  getCollections() {
+    return Array.from(this.collections.values()).sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
   // 获取收藏数量
   getCount() {
     return this.favorites.size;
@@ -63,4 +148,4 @@ class FavoritesManager {
 
 const favoritesManager = new FavoritesManager();
 
-export { favoritesManager };
+export { favoritesManager, FAVORITE_COLORS, parseTags };
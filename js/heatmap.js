@@ -0,0 +1,138 @@
+// 使用习惯：日历热力图和星期 × 小时矩阵
+import { toDateKey, parseDateKey } from "./parser.js";
+
+const WEEKDAY_LABELS = ["一", "二", "三", "四", "五", "六", "日"];
+
+// 颜色深浅分为 0~4 级
+function getLevel(count, maxCount) {
+  if (count === 0) return 0;
+  return Math.max(1, Math.ceil((count / maxCount) * 4));
+}
+
+function createCell(level, title, onClick) {
+  const cell = document.createElement("div");
+  cell.className = `heat-cell heat-level-${level}`;
+  cell.title = title;
+  if (onClick) cell.addEventListener("click", onClick);
+  return cell;
+}
+
+// 日历热力图：每列一周（周一在上），覆盖整个导出的时间范围
+function renderCalendarHeatmap(container, dailyData, { onSelectDay } = {}) {
+  container.innerHTML = "";
+  if (dailyData.length === 0) {
+    container.innerHTML = '<div class="empty-state"><p>暂无数据</p></div>';
+    return;
+  }
+
+  const counts = new Map(dailyData.map((item) => [item.date, item.count]));
+  const maxCount = Math.max(...dailyData.map((item) => item.count), 1);
+
+  const first = parseDateKey(dailyData[0].date);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const lastData = parseDateKey(dailyData[dailyData.length - 1].date);
+  const last = lastData > today ? lastData : today;
+
+  // 从第一天所在周的周一开始
+  const start = new Date(first);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+  const months = document.createElement("div");
+  months.className = "heatmap-months";
+  const grid = document.createElement("div");
+  grid.className = "heatmap-calendar";
+
+  let week = 0;
+  let lastMonth = -1;
+  for (
+    let date = new Date(start);
+    date <= last;
+    date.setDate(date.getDate() + 1)
+  ) {
+    const weekday = (date.getDay() + 6) % 7;
+    if (weekday === 0 && date.getMonth() !== lastMonth) {
+      // 每月第一周上方显示月份
+      const label = document.createElement("span");
+      label.textContent = `${date.getMonth() + 1}月`;
+      label.style.gridColumn = week + 1;
+      months.appendChild(label);
+      lastMonth = date.getMonth();
+    }
+
+    if (date < first) {
+      grid.appendChild(createCell("empty", ""));
+    } else {
+      const key = toDateKey(date);
+      const count = counts.get(key) || 0;
+      const dayStart = date.getTime() / 1000;
+      const dayEnd =
+        new Date(
+          date.getFullYear(),
+          date.getMonth(),
+          date.getDate() + 1
+        ).getTime() / 1000;
+      grid.appendChild(
+        createCell(
+          getLevel(count, maxCount),
+          `${key}: ${count} 条`,
+          onSelectDay ? () => onSelectDay(key, dayStart, dayEnd) : null
+        )
+      );
+    }
+
+    if (weekday === 6) week++;
+  }
+
+  const columns = `repeat(${week + 1}, 11px)`;
+  months.style.gridTemplateColumns = columns;
+  grid.style.gridTemplateColumns = columns;
+
+  const scroller = document.createElement("div");
+  scroller.className = "heatmap-scroll";
+  scroller.appendChild(months);
+  scroller.appendChild(grid);
+  container.appendChild(scroller);
+
+  // 默认显示最近的日期
+  scroller.scrollLeft = scroller.scrollWidth;
+}
+
+// 星期 × 小时矩阵：7 行 24 列
+function renderHourMatrix(container, matrix, { onSelectCell } = {}) {
+  container.innerHTML = "";
+  const maxCount = Math.max(...matrix.flat(), 1);
+
+  const grid = document.createElement("div");
+  grid.className = "heatmap-matrix";
+
+  grid.appendChild(document.createElement("span"));
+  for (let hour = 0; hour < 24; hour++) {
+    const label = document.createElement("span");
+    label.className = "heatmap-hour";
+    label.textContent = hour % 3 === 0 ? hour : "";
+    grid.appendChild(label);
+  }
+
+  matrix.forEach((hours, weekday) => {
+    const label = document.createElement("span");
+    label.className = "heatmap-weekday";
+    label.textContent = `周${WEEKDAY_LABELS[weekday]}`;
+    grid.appendChild(label);
+
+    hours.forEach((count, hour) => {
+      const label = `周${WEEKDAY_LABELS[weekday]} ${String(hour).padStart(2, "0")}:00`;
+      grid.appendChild(
+        createCell(
+          getLevel(count, maxCount),
+          `${label}: ${count} 条`,
+          onSelectCell ? () => onSelectCell(weekday, hour, label) : null
+        )
+      );
+    });
+  });
+
+  container.appendChild(grid);
+}
+
+export { renderCalendarHeatmap, renderHourMatrix };
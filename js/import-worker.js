@@ -0,0 +1,331 @@
+// 导入数据的 Web Worker：流式解析 conversations.json，分批写入 IndexedDB
+// 与主线程的消息：
+//   收到 start { file, mode }、cancel、confirm { deleteRemoved }
+//   发出 progress、diff（合并导入等待确认）、done { result }、cancelled、error
+import chatDB from "./db.js";
+import { processConversationsData } from "./parser.js";
+import { isZipFile } from "./zip.js";
+import { openExportArchive } from "./archive.js";
+import { JsonArrayStream } from "./json-stream.js";
+import { diffConversations, summarizeDiff } from "./merge.js";
+import { searchEngine, buildSearchIndex } from "./search.js";
+import { isBackup } from "./backup.js";
+
+// 每批处理和写入的对话数
+const BATCH_SIZE = 200;
+
+// 两次进度消息之间的最短间隔（毫秒）
+const PROGRESS_INTERVAL = 100;
+
+class ImportCancelled extends Error {}
+
+let cancelled = false;
+let cancellable = true;
+let resolveConfirm = null;
+let lastProgress = 0;
+
+function checkCancelled() {
+  if (cancelled && cancellable) throw new ImportCancelled("导入已取消");
+}
+
+// 发送进度，phase 为 read（读取对话）、assets（保存附件）、
+// save（写入对话）或 index（建立索引）
+function reportProgress(progress, force = false) {
+  const now = Date.now();
+  if (!force && now - lastProgress < PROGRESS_INTERVAL) return;
+  lastProgress = now;
+  self.postMessage({ type: "progress", cancellable, ...progress });
+}
+
+// 合并对话框只需要标题和时间
+function summarizeConversation(conv) {
+  return {
+    id: conv.id,
+    title: conv.title,
+    create_time: conv.create_time,
+    update_time: conv.update_time,
+  };
+}
+
+// 打开导入文件，返回对话数据的字节流和压缩包中的其他内容
+async function openSource(file) {
+  if (isZipFile(file)) {
+    const archive = await openExportArchive(file);
+    return {
+      stream: await archive.conversationsEntry.stream(),
+      totalBytes: archive.conversationsEntry.size,
+      user: archive.user,
+      feedback: archive.feedback,
+      assets: archive.assets,
+    };
+  }
+  return {
+    stream: file.stream(),
+    totalBytes: file.size,
+    user: null,
+    feedback: null,
+    assets: [],
+  };
+}
+
+// 逐段读取对话数据，每凑满一批处理后交给 onBatch
+// 顶层不是数组时（备份文件或单个对话）返回解析出的值
+async function readConversations(source, onBatch) {
+  const reader = source.stream.getReader();
+  const decoder = new TextDecoder();
+  const parser = new JsonArrayStream();
+  let bytesRead = 0;
+  let count = 0;
+  let pending = [];
+
+  const flush = async (all) => {
+    while (pending.length >= BATCH_SIZE || (all && pending.length > 0)) {
+      const batch = processConversationsData(pending.splice(0, BATCH_SIZE), {
+        feedback: source.feedback || [],
+      });
+      await onBatch(batch);
+      count += batch.length;
+      reportProgress({
+        phase: "read",
+        bytesRead,
+        totalBytes: source.totalBytes,
+        conversations: count,
+      });
+      checkCancelled();
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      checkCancelled();
+      if (done) break;
+      bytesRead += value.byteLength;
+      pending.push(...parser.write(decoder.decode(value, { stream: true })));
+      await flush(false);
+      reportProgress({
+        phase: "read",
+        bytesRead,
+        totalBytes: source.totalBytes,
+        conversations: count,
+      });
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  pending.push(...parser.write(decoder.decode()));
+  const value = parser.end();
+  await flush(true);
+  reportProgress(
+    { phase: "read", bytesRead, totalBytes: bytesRead, conversations: count },
+    true
+  );
+  return value;
+}
+
+// 逐个解压并保存附件和元数据，savedIds 记录已保存的附件以便取消时删除
+async function saveExtras(source, savedIds = []) {
+  for (const [i, asset] of source.assets.entries()) {
+    checkCancelled();
+    const blob = await asset.entry.blob(asset.type);
+    await chatDB.saveAsset({
+      id: asset.id,
+      name: asset.name,
+      type: asset.type,
+      size: asset.size,
+      blob,
+    });
+    savedIds.push(asset.id);
+    reportProgress({
+      phase: "assets",
+      assets: i + 1,
+      totalAssets: source.assets.length,
+    });
+  }
+  checkCancelled();
+
+  if (source.user) await chatDB.saveMeta("user", source.user);
+  if (source.feedback) {
+    await chatDB.saveMeta("messageFeedback", source.feedback);
+  }
+}
+
+// 导入到空数据库：边解析边写入，搜索索引随每批追加
+async function importReplace(source, fileName) {
+  const conversationIds = [];
+  const assetIds = [];
+  const index = new Map();
+
+  const saveBatch = async (conversations) => {
+    await chatDB.saveConversations(conversations);
+    conversations.forEach((conv) => conversationIds.push(conv.id));
+    buildSearchIndex(conversations, index);
+  };
+
+  try {
+    const value = await readConversations(source, saveBatch);
+    if (value !== undefined) {
+      if (isBackup(value)) return { backup: value };
+      await saveBatch(
+        processConversationsData(value, {
+          feedback: source.feedback || [],
+        })
+      );
+    }
+    await saveExtras(source, assetIds);
+  } catch (error) {
+    // 取消或出错时删除已写入的对话和附件，不留下只导入了一半的数据
+    await chatDB.deleteConversations(conversationIds);
+    await chatDB.deleteAssets(assetIds);
+    throw error;
+  }
+
+  cancellable = false;
+  reportProgress(
+    { phase: "index", conversations: conversationIds.length },
+    true
+  );
+  await chatDB.saveSearchIndex(index);
+  await chatDB.addImportHistory({
+    mode: "replace",
+    fileName,
+    added: conversationIds.length,
+  });
+  console.log(`已导入 ${conversationIds.length} 个对话`);
+  return { added: conversationIds.length };
+}
+
+// 合并导入：解析完后把差异发给主线程，确认后才写入
+async function importMerge(source, fileName) {
+  // 对比只需要 ID 和更新时间，读取摘要即可
+  const existing = await chatDB.getConversationSummaries();
+  const diff = { added: [], updated: [], unchanged: [], removed: [] };
+  const incomingIds = new Set();
+
+  // 未变化的对话不会写入，只保留摘要
+  const collect = async (conversations) => {
+    const part = diffConversations(existing, conversations);
+    diff.added.push(...part.added);
+    diff.updated.push(...part.updated);
+    diff.unchanged.push(...part.unchanged.map(summarizeConversation));
+    conversations.forEach((conv) => incomingIds.add(conv.id));
+  };
+
+  const value = await readConversations(source, collect);
+  if (value !== undefined) {
+    if (isBackup(value)) return { backup: value };
+    await collect(
+      processConversationsData(value, {
+        feedback: source.feedback || [],
+      })
+    );
+  }
+  diff.removed = existing
+    .filter((conv) => !incomingIds.has(conv.id))
+    .map(summarizeConversation);
+
+  // 等待主线程确认
+  self.postMessage({
+    type: "diff",
+    diff: {
+      added: diff.added.map(summarizeConversation),
+      updated: diff.updated.map(summarizeConversation),
+      unchanged: diff.unchanged,
+      removed: diff.removed,
+    },
+  });
+  const choice = await new Promise((resolve) => {
+    resolveConfirm = resolve;
+  });
+  if (!choice) throw new ImportCancelled("导入已取消");
+
+  // 已有的对话会被覆盖，开始写入后不能再取消
+  cancellable = false;
+  await saveExtras(source);
+
+  const changed = [...diff.added, ...diff.updated];
+  for (let i = 0; i < changed.length; i += BATCH_SIZE) {
+    await chatDB.saveConversations(changed.slice(i, i + BATCH_SIZE));
+    reportProgress({
+      phase: "save",
+      conversations: Math.min(i + BATCH_SIZE, changed.length),
+      totalConversations: changed.length,
+    });
+  }
+
+  const removedIds = choice.deleteRemoved
+    ? diff.removed.map((conv) => conv.id)
+    : [];
+  if (removedIds.length > 0) {
+    // 收藏会保留，对话数据重新导入后可以再次打开
+    await chatDB.deleteConversations(removedIds);
+  }
+
+  const summary = summarizeDiff(diff);
+  await chatDB.addImportHistory({
+    mode: "merge",
+    fileName,
+    ...summary,
+    deleted: removedIds.length,
+  });
+
+  reportProgress({ phase: "index", conversations: changed.length }, true);
+  await searchEngine.rebuild(await chatDB.getAllConversations());
+  console.log(
+    `合并完成：新增 ${summary.added}，更新 ${summary.updated}，删除 ${removedIds.length}`
+  );
+  return {
+    added: summary.added,
+    updated: summary.updated,
+    deleted: removedIds.length,
+  };
+}
+
+// 出错时告诉主线程是哪一步失败：archive（压缩包）、format（JSON）、import（写入）
+function postError(reason, error) {
+  console.error("导入错误:", error);
+  self.postMessage({ type: "error", reason, message: error.message });
+}
+
+async function runImport(file, mode) {
+  let source;
+  try {
+    await chatDB.init();
+    source = await openSource(file);
+  } catch (error) {
+    postError(isZipFile(file) ? "archive" : "import", error);
+    return;
+  }
+
+  try {
+    const result =
+      mode === "merge"
+        ? await importMerge(source, file.name)
+        : await importReplace(source, file.name);
+    self.postMessage({ type: "done", result });
+  } catch (error) {
+    if (error instanceof ImportCancelled) {
+      self.postMessage({ type: "cancelled" });
+    } else {
+      postError(error instanceof SyntaxError ? "format" : "import", error);
+    }
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case "start":
+      runImport(message.file, message.mode);
+      break;
+    case "cancel":
+      cancelled = true;
+      if (resolveConfirm) resolveConfirm(null);
+      break;
+    case "confirm":
+      if (resolveConfirm) resolveConfirm(message);
+      break;
+  }
+};
@@ -0,0 +1,62 @@
+// 在 Web Worker 中导入数据，解析大文件时界面保持响应
+
+// 开始导入，mode 为 replace（导入到空数据库）或 merge（合并导入）
+// onProgress(progress) 接收进度
+// 合并导入时 onDiff(diff) 返回用户的选择，null 表示取消
+// 返回 { promise, cancel }，promise 完成时得到导入结果，取消时得到 null
+function startImport(file, { mode = "replace", onProgress, onDiff } = {}) {
+  const worker = new Worker(new URL("./import-worker.js", import.meta.url), {
+    type: "module",
+  });
+
+  const promise = new Promise((resolve, reject) => {
+    const finish = (callback, value) => {
+      worker.terminate();
+      callback(value);
+    };
+
+    worker.onmessage = async (event) => {
+      const message = event.data;
+      switch (message.type) {
+        case "progress":
+          if (onProgress) onProgress(message);
+          break;
+        case "diff": {
+          const choice = onDiff ? await onDiff(message.diff) : null;
+          worker.postMessage(
+            choice ? { type: "confirm", ...choice } : { type: "cancel" }
+          );
+          break;
+        }
+        case "done":
+          finish(resolve, message.result);
+          break;
+        case "cancelled":
+          finish(resolve, null);
+          break;
+        case "error": {
+          const error = new Error(message.message);
+          error.reason = message.reason;
+          finish(reject, error);
+          break;
+        }
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const error = new Error(event.message || "导入线程出错");
+      error.reason = "import";
+      finish(reject, error);
+    };
+  });
+
+  worker.postMessage({ type: "start", file, mode });
+
+  return {
+    promise,
+    cancel: () => worker.postMessage({ type: "cancel" }),
+  };
+}
+
+export { startImport };
@@ -0,0 +1,174 @@
+// 流式 JSON 解析：顶层为数组时逐个取出元素，不必把整个文件读成一个字符串
+// 顶层不是数组时（单个对话、备份文件）在结束时整体解析
+
+const STRING_SPECIAL = /["\\]/g;
+
+function isWhitespace(char) {
+  return (
+    char === " " ||
+    char === "\n" ||
+    char === "\r" ||
+    char === "\t" ||
+    char === "\ufeff"
+  );
+}
+
+class JsonArrayStream {
+  constructor() {
+    // start：尚未读到内容；first：刚读到 "["；element：元素中；
+    // after：元素之后，应为 "," 或 "]"；between：逗号之后，应为下一个元素；
+    // done：数组已结束；value：顶层不是数组
+    this.mode = "start";
+    this.parts = []; // 跨越多段文本的当前元素
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false; // 上一段以反斜杠结尾
+  }
+
+  // 传入一段文本，返回其中已完整的数组元素
+  write(text) {
+    const items = [];
+    if (this.mode === "value") {
+      this.parts.push(text);
+      return items;
+    }
+
+    let start = this.mode === "element" ? 0 : -1;
+    const emit = (end) => {
+      this.parts.push(text.slice(start, end));
+      items.push(JSON.parse(this.parts.join("")));
+      this.parts = [];
+      this.mode = "after";
+      start = -1;
+    };
+
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+
+      if (this.mode === "start") {
+        if (isWhitespace(char)) {
+          i++;
+        } else if (char === "[") {
+          this.mode = "first";
+          i++;
+        } else {
+          this.mode = "value";
+          this.parts.push(text.slice(i));
+          return items;
+        }
+        continue;
+      }
+
+      if (this.mode === "after") {
+        if (isWhitespace(char)) {
+          i++;
+        } else if (char === ",") {
+          this.mode = "between";
+          i++;
+        } else if (char === "]") {
+          this.mode = "done";
+          i++;
+        } else {
+          throw new SyntaxError("JSON 数组元素之间缺少逗号");
+        }
+        continue;
+      }
+
+      if (this.mode === "first" || this.mode === "between") {
+        if (isWhitespace(char)) {
+          i++;
+        } else if (char === "]" && this.mode === "first") {
+          this.mode = "done";
+          i++;
+        } else if (char === "," || char === "]") {
+          throw new SyntaxError("JSON 数组中有多余的逗号");
+        } else {
+          this.mode = "element";
+          this.depth = 0;
+          this.inString = false;
+          start = i;
+        }
+        continue;
+      }
+
+      if (this.mode === "done") {
+        if (!isWhitespace(char)) {
+          throw new SyntaxError("JSON 数组结束后还有多余的内容");
+        }
+        i++;
+        continue;
+      }
+
+      // 元素内部
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+          i++;
+          continue;
+        }
+        STRING_SPECIAL.lastIndex = i;
+        const match = STRING_SPECIAL.exec(text);
+        if (!match) {
+          i = text.length;
+          break;
+        }
+        i = match.index;
+        if (text[i] === "\\") {
+          if (i + 1 >= text.length) {
+            this.escaped = true;
+            i = text.length;
+            break;
+          }
+          i += 2;
+          continue;
+        }
+        this.inString = false;
+        i++;
+        if (this.depth === 0) emit(i);
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+        i++;
+      } else if (char === "{" || char === "[") {
+        this.depth++;
+        i++;
+      } else if (char === "}" || char === "]") {
+        if (this.depth === 0) {
+          // 数字等简单值后直接是数组结尾
+          emit(i);
+          continue;
+        }
+        this.depth--;
+        i++;
+        if (this.depth === 0) emit(i);
+      } else if (this.depth === 0 && (char === "," || isWhitespace(char))) {
+        emit(i);
+      } else {
+        i++;
+      }
+    }
+
+    if (this.mode === "element") {
+      this.parts.push(text.slice(start));
+    }
+    return items;
+  }
+
+  // 结束解析；顶层不是数组时返回解析出的值
+  end() {
+    if (this.mode === "value") {
+      const value = JSON.parse(this.parts.join(""));
+      this.parts = [];
+      return value;
+    }
+    if (this.mode !== "done") {
+      throw new SyntaxError("JSON 内容不完整");
+    }
+    return undefined;
+  }
+}
+
+export { JsonArrayStream };
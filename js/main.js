@@ -1,16 +1,50 @@
 // 主入口文件
 import chatDB from "./db.js";
 import {
-  processConversationsData,
   aggregateDailyMessageCounts,
+  aggregateHourlyMatrix,
   calculateStatistics,
+  calculateModelStatistics,
 } from "./parser.js";
 import { favoritesManager } from "./favorites.js";
-import uiManager from "./ui.js";
-import { formatDate } from "./ui.js";
+import { isZipFile } from "./zip.js";
+import { startImport } from "./importer.js";
+import { searchEngine } from "./search.js";
+import { savedQueriesManager } from "./saved-queries.js";
+import { bookmarksManager } from "./bookmarks.js";
+import { createBackup, restoreBackup } from "./backup.js";
+import {
+  loadExportOptions,
+  saveExportOptions,
+  conversationsToMarkdown,
+  conversationsToMarkdownZip,
+  conversationsToHtml,
+  conversationsToJson,
+  conversationsToCsv,
+} from "./export.js";
+import uiManager, { formatDate } from "./ui.js";
+import { registerActions, setupActions } from "./actions.js";
+import { router } from "./router.js";
+import { registerShortcuts, setupShortcuts } from "./shortcuts.js";
+import { commandPalette } from "./command-palette.js";
+
+// 搜索框输入后等待的毫秒数
+const SEARCH_DELAY = 200;
+
+function debounce(fn, delay) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), delay);
+  };
+}
 
 // 初始化应用
 async function initApp() {
+  // 页面按钮和快捷键在数据库不可用时也要能响应
+  setupActions();
+  setupShortcuts();
+  commandPalette.init(getPaletteItems);
   try {
     // 初始化数据库
     await chatDB.init();
@@ -18,20 +52,30 @@ async function initApp() {
 
     // 初始化收藏管理器
     await favoritesManager.init();
+    await savedQueriesManager.init();
+    await bookmarksManager.init();
 
     // 设置事件监听
     setupFileHandling();
     setupSearch();
+    setupMessageSelection();
     setupThemeToggle();
     loadTheme();
 
-    // 尝试从数据库加载已有数据
-    const conversations = await chatDB.getAllConversations();
+    // 尝试从数据库加载已有数据，列表和统计只需要对话摘要
+    const conversations = await chatDB.getConversationSummaries();
     if (conversations.length > 0) {
-      await loadDataFromDB(conversations);
+      await searchEngine.ensureIndex();
+      // 加载完成后按地址栏恢复打开的对话和搜索条件
+      await router.restore(async (route) => {
+        await loadDataFromDB(conversations);
+        await applyRoute(route);
+      });
     } else {
       uiManager.showEmptyState();
     }
+    router.listen(applyRoute);
+    setupLaunchQueue();
   } catch (error) {
     console.error("应用初始化失败，请尝试清除网页缓存");
     uiManager.showEmptyState();
@@ -45,11 +89,17 @@ async function loadDataFromDB(conversations) {
 
   const stats = calculateStatistics(conversations);
   uiManager.updateStatistics(stats);
-  uiManager.renderConversationList(uiManager.allConversations);
+  uiManager.renderModelStatistics(calculateModelStatistics(conversations));
+  await uiManager.refreshConversationList();
 
   const dailyCounts = aggregateDailyMessageCounts(conversations);
   uiManager.renderDailyTrendChart(dailyCounts);
+  uiManager.renderActivityHeatmaps(
+    dailyCounts,
+    aggregateHourlyMatrix(conversations)
+  );
   await uiManager.renderFavoritesList();
+  uiManager.renderBookmarksList();
   uiManager.showDashboard();
 }
 
@@ -60,6 +110,28 @@ function setupFileHandling() {
 
   fileInput.addEventListener("change", handleFileSelect);
 
+  // 恢复备份
+  const backupFileInput = document.getElementById("backupFileInput");
+  backupFileInput.addEventListener("change", async () => {
+    const file = backupFileInput.files[0];
+    backupFileInput.value = "";
+    if (!file) return;
+    try {
+      await restoreFromBackup(JSON.parse(await file.text()));
+    } catch (error) {
+      alert("文件格式错误，无法读取");
+      console.error("备份解析错误:", error);
+    }
+  });
+
+  // 合并导入
+  const mergeFileInput = document.getElementById("mergeFileInput");
+  mergeFileInput.addEventListener("change", async () => {
+    const file = mergeFileInput.files[0];
+    mergeFileInput.value = "";
+    if (file) await handleMergeFile(file);
+  });
+
   // 拖拽上传
   uploadArea.addEventListener("dragover", (e) => {
     e.preventDefault();
@@ -79,74 +151,253 @@ function setupFileHandling() {
   });
 }
 
+// 从系统中用本应用打开导出文件：没有数据时直接导入，已有数据时合并导入
+function setupLaunchQueue() {
+  if (!("launchQueue" in window)) return;
+  launchQueue.setConsumer(async (launchParams) => {
+    const [handle] = launchParams.files;
+    if (!handle) return;
+    const file = await handle.getFile();
+    const conversations = await chatDB.getConversationSummaries();
+    if (conversations.length > 0) {
+      await handleMergeFile(file);
+    } else {
+      await handleFile(file);
+    }
+  });
+}
+
+// 注册 Service Worker，缓存页面和依赖以便离线使用
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register("./sw.js").catch((error) => {
+    console.warn("Service Worker 注册失败:", error);
+  });
+}
+
 function handleFileSelect(event) {
   const file = event.target.files[0];
   if (file) handleFile(file);
 }
 
+function isSupportedFile(file) {
+  if (isZipFile(file) || file.name.endsWith(".json")) return true;
+  alert("请选择JSON或ZIP文件");
+  return false;
+}
+
 async function handleFile(file) {
-  if (!file.name.endsWith(".json")) {
-    alert("请选择JSON文件");
+  if (!isSupportedFile(file)) return;
+  await runImport(file, "replace");
+}
+
+// 合并导入新的导出文件：只写入新增和更新的对话，保留收藏等数据
+async function handleMergeFile(file) {
+  if (!isSupportedFile(file)) return;
+  await runImport(file, "merge");
+}
+
+// 导入失败时的提示
+const IMPORT_ERRORS = {
+  archive: "压缩包读取失败，请确认是 ChatGPT 导出的数据",
+  format: "文件格式错误，无法读取",
+  import: "数据导入失败",
+};
+
+// 在后台线程中读取并保存文件，显示进度，可以取消
+async function runImport(file, mode) {
+  const task = startImport(file, {
+    mode,
+    onProgress: (progress) => uiManager.updateImportProgress(progress),
+    // 先显示差异，确认后再写入
+    onDiff: async (diff) => {
+      const history = await chatDB.getImportHistory();
+      uiManager.showDashboard();
+      const choice = await uiManager.showMergeDialog(diff, history);
+      if (choice) uiManager.showImportProgress(() => task.cancel());
+      return choice;
+    },
+  });
+  uiManager.showImportProgress(() => task.cancel());
+
+  let result;
+  try {
+    result = await task.promise;
+  } catch (error) {
+    alert(IMPORT_ERRORS[error.reason] || IMPORT_ERRORS.import);
+    console.error("导入错误:", error);
+    await showCurrentData(await chatDB.getConversationSummaries());
     return;
   }
 
-  uiManager.showLoading();
+  // 上传的是备份文件时直接恢复
+  if (result?.backup) {
+    await restoreFromBackup(result.backup);
+    return;
+  }
 
-  const reader = new FileReader();
-  reader.onload = async function (e) {
-    try {
-      const data = JSON.parse(e.target.result);
-      const conversations = processConversationsData(data);
+  const conversations = await chatDB.getConversationSummaries();
+  if (result) {
+    searchEngine.clearCache();
+    // 之前保存的收藏可能对应这次导入的对话，标题和是否可以打开也要更新
+    await favoritesManager.init();
+  }
+  await showCurrentData(conversations);
+}
 
-      // 保存到 IndexedDB
-      await chatDB.saveConversations(conversations);
-      console.log("数据已保存到数据库");
+// 按地址栏的状态恢复搜索条件、打开的对话和定位的消息
+async function applyRoute(route) {
+  if (uiManager.allConversations.length === 0) return;
 
-      // 加载并显示数据
-      await loadDataFromDB(conversations);
-    } catch (error) {
-      alert("文件格式错误，无法读取");
-      console.error("JSON解析错误:", error);
-      uiManager.showEmptyState();
+  const searchBox = document.getElementById("searchBox");
+  const sortSelect = document.getElementById("sortSelect");
+  const modelFilter = document.getElementById("modelFilter");
+  const previous = [searchBox.value, sortSelect.value, modelFilter.value];
+
+  searchBox.value = route.query;
+  sortSelect.value = route.sort;
+  if (sortSelect.selectedIndex === -1) sortSelect.selectedIndex = 0;
+  modelFilter.value = route.model;
+  if (modelFilter.selectedIndex === -1) modelFilter.selectedIndex = 0;
+
+  const current = [searchBox.value, sortSelect.value, modelFilter.value];
+  if (current.some((value, i) => value !== previous[i])) {
+    if (uiManager.modelFilter !== modelFilter.value) {
+      uiManager.modelFilter = modelFilter.value;
+      uiManager.renderModelStatsTab();
     }
-  };
-  reader.readAsText(file);
+    await uiManager.refreshConversationList();
+  }
+
+  if (!route.conversationId) {
+    if (uiManager.currentConversation) uiManager.closeConversation();
+    return;
+  }
+  if (uiManager.currentConversation?.id !== route.conversationId) {
+    await uiManager.selectConversation(route.conversationId);
+    if (uiManager.currentConversation?.id !== route.conversationId) {
+      alert("没有找到链接中的对话，请先导入包含这个对话的导出数据");
+      return;
+    }
+  }
+  if (route.messageId && uiManager.routeMessageId !== route.messageId) {
+    const target = uiManager.goToMessage(route.messageId);
+    if (target) {
+      target.classList.add("flash");
+      setTimeout(() => target.classList.remove("flash"), 1500);
+    }
+  } else if (!route.messageId) {
+    uiManager.routeMessageId = null;
+  }
+}
+
+// 在消息中选中文字后显示高亮按钮
+function setupMessageSelection() {
+  const container = document.getElementById("messagesContainer");
+  // 点击高亮按钮时不能让选区消失
+  document
+    .getElementById("highlightSelectionBtn")
+    .addEventListener("mousedown", (event) => event.preventDefault());
+  container.addEventListener("mouseup", () => {
+    // 等浏览器更新选区后再读取
+    setTimeout(() => uiManager.updateHighlightButton(), 0);
+  });
+  container.addEventListener("scroll", () => {
+    document.getElementById("highlightSelectionBtn").classList.add("hidden");
+  });
+  document.addEventListener("selectionchange", () => {
+    if (window.getSelection().isCollapsed) {
+      document.getElementById("highlightSelectionBtn").classList.add("hidden");
+    }
+  });
 }
 
 // 搜索
 function setupSearch() {
-  const searchTitleBox = document.getElementById("searchTitleBox");
-  const searchContentBox = document.getElementById("searchContentBox");
+  const searchBox = document.getElementById("searchBox");
   const sortSelect = document.getElementById("sortSelect");
+  const savedQuerySelect = document.getElementById("savedQuerySelect");
+
+  const applyQuery = () => {
+    uiManager.applyQuery(searchBox.value, sortSelect.value);
+  };
+
+  // 输入停顿后再筛选，避免大量对话时每次按键都重新渲染
+  searchBox.addEventListener("input", debounce(applyQuery, SEARCH_DELAY));
+  sortSelect.addEventListener("change", applyQuery);
 
-  searchTitleBox.addEventListener("input", () => {
-    searchContentBox.value = "";
-    const searchTerm = searchTitleBox.value;
-    const sortBy = sortSelect.value;
-    uiManager.filterConversationsByTitle(searchTerm, sortBy);
+  // 模型筛选
+  const modelFilter = document.getElementById("modelFilter");
+  modelFilter.addEventListener("change", () => {
+    uiManager.modelFilter = modelFilter.value;
+    uiManager.renderModelStatsTab();
+    applyQuery();
   });
 
-  searchContentBox.addEventListener("input", () => {
-    searchTitleBox.value = "";
-    const searchTerm = searchContentBox.value;
-    const sortBy = sortSelect.value;
-    uiManager.filterConversationsByContent(searchTerm, sortBy);
+  // 保存的查询
+  uiManager.renderSavedQueries();
+
+  savedQuerySelect.addEventListener("change", () => {
+    const item = savedQueriesManager.get(Number(savedQuerySelect.value));
+    if (!item) return;
+    searchBox.value = item.query;
+    applyQuery();
   });
 
-  sortSelect.addEventListener("change", () => {
-    if (searchTitleBox.value) {
-      uiManager.filterConversationsByTitle(searchTitleBox.value, sortSelect.value);
-    } else if (searchContentBox.value) {
-      uiManager.filterConversationsByContent(searchContentBox.value, sortSelect.value);
-    } else {
-      uiManager.filterConversationsByTitle('', sortSelect.value)
+  document
+    .getElementById("saveQueryBtn")
+    .addEventListener("click", async () => {
+      const query = searchBox.value.trim();
+      if (!query) return;
+      const name = prompt("为这个查询命名", query);
+      if (!name) return;
+      const item = await savedQueriesManager.save(name.trim(), query);
+      uiManager.renderSavedQueries();
+      savedQuerySelect.value = item.id;
+    });
+
+  document
+    .getElementById("deleteQueryBtn")
+    .addEventListener("click", async () => {
+      const id = Number(savedQuerySelect.value);
+      if (!id) return;
+      await savedQueriesManager.remove(id);
+      uiManager.renderSavedQueries();
+    });
+}
+
+// 从本地数据库删除勾选的对话，收藏和书签保留
+async function deleteSelected() {
+  const ids = uiManager.getSelectedConversations().map((conv) => conv.id);
+  if (ids.length === 0) return;
+  if (
+    !confirm(
+      `确定从本地数据库删除选中的 ${ids.length} 个对话吗？\n收藏和书签会保留，重新导入后即可恢复。`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    await chatDB.deleteConversations(ids);
+    await searchEngine.rebuild(await chatDB.getAllConversations());
+    await favoritesManager.init();
+    if (ids.includes(uiManager.currentConversation?.id)) {
+      uiManager.closeConversation();
     }
-  });
+    uiManager.clearSelection();
+    await loadDataFromDB(await chatDB.getConversationSummaries());
+  } catch (error) {
+    alert("删除失败");
+    console.error("删除对话错误:", error);
+  }
 }
 
 // 返回上传页面
 async function backToUpload() {
   clearDatabase();
+  router.navigate({}, { replace: true });
+  uiManager.releaseAssets();
   const fileInput = document.getElementById("fileInput");
   if (fileInput) {
     fileInput.value = "";
@@ -157,54 +408,131 @@ async function backToUpload() {
 
 // 导出功能
 async function exportAllData() {
-  const conversations = await chatDB.getAllConversations(true);
+  const conversations = await chatDB.getAllConversations();
   conversations.sort((a, b) => (b.create_time || 0) - (a.create_time || 0));
-  const markdown = generateAllConversationsMarkdown(conversations);
-  downloadMarkdown(markdown, "所有对话的MarkDown文件.md");
+  await exportConversations(conversations, "所有对话");
 }
 
-// 导出收藏对话的 Markdown
+// 导出收藏的对话（只导出当前筛选出的收藏）
 async function exportFavorites() {
-  const favorites = await favoritesManager.getAllFavorites();
+  const favorites = await favoritesManager.getAllFavorites(
+    uiManager.favoriteFilter
+  );
   if (favorites.length === 0) {
     return;
   }
   const conversations = await Promise.all(
     favorites.map((fav) => chatDB.getConversation(fav.conversationId))
   );
-  const validConversations = conversations.filter((conv) => conv !== null);
-  const markdown = generateAllConversationsMarkdown(validConversations);
-  downloadMarkdown(markdown, "收藏的对话.md");
-}
-
-// 生成所有对话的 Markdown
-function generateAllConversationsMarkdown(conversations) {
-  let markdown = "";
-  markdown += `export_time: ${formatDate(Date.now() / 1000)}\n\n`;
-  markdown += `conversations_count: ${conversations.length}\n\n`;
-  markdown += `---\n\n`;
-
-  conversations.forEach((conv) => {
-    markdown += `# ${conv.title || "未命名对话"}\n\n`;
-    markdown += `create_time: ${formatDate(conv.create_time)}\n\n`;
-    markdown += `messages_count: ${conv.messageCount}\n\n`;
-    conv.messages.forEach((msg) => {
-      // const roleLabel = msg.role === "user" ? "You" : "Agent";
-      // markdown += `**${roleLabel}**\n\n`;
-      markdown += `${msg.content}\n\n`;
-      markdown += `*${formatDate(msg.createTime)}*\n\n`;
-    });
-    markdown += `\n---\n\n`;
-  });
+  // 对话数据未导入的收藏没有内容可导出
+  const validConversations = conversations.filter(Boolean);
+  await exportConversations(validConversations, "收藏的对话");
+}
+
+// 导出列表中勾选的对话
+async function exportSelected() {
+  // 列表中只有摘要，导出前读取完整对话
+  const ids = uiManager.getSelectedConversations().map((conv) => conv.id);
+  await exportConversations(await chatDB.getConversations(ids), "选中的对话");
+}
+
+// 按导出设置生成文件：Markdown（单个文件或打包为 zip）、HTML、PDF、JSON、CSV
+async function exportConversations(conversations, fileName) {
+  if (conversations.length === 0) return;
+
+  const options = await uiManager.showExportDialog(
+    `导出 ${conversations.length} 个对话`,
+    loadExportOptions()
+  );
+  if (!options) return;
+  saveExportOptions(options);
+
+  // 标签来自收藏
+  const getTags = (conv) => favoritesManager.getFavorite(conv.id)?.tags || [];
+  const renderMessages = (conv) =>
+    uiManager.renderExportMessages(conv, options);
+
+  switch (options.format) {
+    case "html": {
+      const html = await conversationsToHtml(
+        conversations,
+        options,
+        renderMessages
+      );
+      downloadFile(html, `${fileName}.html`, "text/html;charset=utf-8");
+      break;
+    }
+
+    case "pdf": {
+      const html = await conversationsToHtml(
+        conversations,
+        options,
+        renderMessages
+      );
+      openPrintView(html);
+      break;
+    }
+
+    case "json":
+      downloadFile(
+        conversationsToJson(conversations, getTags),
+        `${fileName}.json`,
+        "application/json;charset=utf-8"
+      );
+      break;
+
+    case "csv":
+      downloadFile(
+        conversationsToCsv(conversations),
+        `${fileName}.csv`,
+        "text/csv;charset=utf-8"
+      );
+      break;
+
+    default:
+      if (options.splitFiles) {
+        const zip = await conversationsToMarkdownZip(
+          conversations,
+          options,
+          getTags
+        );
+        downloadFile(zip, `${fileName}.zip`, "application/zip");
+      } else {
+        const markdown = conversationsToMarkdown(
+          conversations,
+          options,
+          getTags
+        );
+        downloadMarkdown(markdown, `${fileName}.md`);
+      }
+  }
+}
 
-  return markdown;
+// 在新窗口打开导出的页面并弹出打印对话框，可在其中另存为 PDF
+// 新窗口沿用本页的内容安全策略，页面内的脚本不会执行，打印由本页调用
+function openPrintView(html) {
+  const blob = new Blob([html], { type: "text/html;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const printWindow = window.open(url, "_blank");
+  if (!printWindow) {
+    URL.revokeObjectURL(url);
+    alert("无法打开打印窗口，请允许本页面弹出窗口后重试");
+    return;
+  }
+  printWindow.addEventListener("load", () => {
+    setTimeout(() => printWindow.print(), 300);
+  });
+  // 新窗口加载完成前不能释放地址
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
 }
 
 // 下载 Markdown 文件
 function downloadMarkdown(content, filename) {
-  const blob = new Blob([content], {
-    type: "text/markdown;charset=utf-8",
-  });
+  downloadFile(content, filename, "text/markdown;charset=utf-8");
+}
+
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -215,6 +543,59 @@ function downloadMarkdown(content, filename) {
   URL.revokeObjectURL(url);
 }
 
+// 备份收藏、书签、保存的查询和设置，可选包含对话数据
+async function exportBackup() {
+  const includeConversations = confirm(
+    "是否同时备份对话数据？\n选择「取消」只备份收藏、书签、查询和设置，文件更小。"
+  );
+  const backup = await createBackup({ includeConversations });
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    JSON.stringify(backup),
+    `chatgpt-viewer-backup-${date}.json`,
+    "application/json;charset=utf-8"
+  );
+}
+
+// 校验并合并备份，然后重新加载界面
+async function restoreFromBackup(backup) {
+  uiManager.showLoading();
+  try {
+    const summary = await restoreBackup(backup);
+
+    loadTheme();
+    uiManager.reloadSettings();
+    await favoritesManager.init();
+    await bookmarksManager.init();
+    await savedQueriesManager.init();
+    uiManager.renderSavedQueries();
+
+    if (summary.conversations > 0) {
+      await searchEngine.rebuild(await chatDB.getAllConversations());
+    }
+    await showCurrentData(await chatDB.getConversationSummaries());
+
+    alert(
+      `备份已恢复：收藏 ${summary.favorites}，收藏夹 ${summary.collections}，` +
+        `书签 ${summary.bookmarks}，查询 ${summary.savedQueries}，` +
+        `设置 ${summary.settings}，对话 ${summary.conversations}`
+    );
+  } catch (error) {
+    alert(`备份恢复失败：${error.message}`);
+    console.error("备份恢复错误:", error);
+    await showCurrentData(await chatDB.getConversationSummaries());
+  }
+}
+
+// 有对话数据时显示总览，否则回到上传页
+async function showCurrentData(conversations) {
+  if (conversations.length > 0) {
+    await loadDataFromDB(conversations);
+  } else {
+    uiManager.showEmptyState();
+  }
+}
+
 // 主题切换
 function setupThemeToggle() {
   const themeToggle = document.getElementById("themeToggle");
@@ -257,14 +638,141 @@ function loadTheme() {
 async function clearDatabase() {
   await chatDB.clearAll();
   await favoritesManager.init();
+  searchEngine.clearCache();
+  uiManager.clearSearchState();
   console.log("数据库已清除");
 }
 
-// 全局导出供HTML调用
-window.backToUpload = backToUpload;
-window.exportAllData = exportAllData;
-window.exportFavorites = exportFavorites;
-window.clearDatabase = clearDatabase;
+// 截图当前对话
+function takeScreenshot() {
+  const element = document.getElementById("messages-card");
+
+  html2canvas(element, {
+    scale: 2, // 提高清晰度
+    useCORS: true, // 允许加载跨域图片
+    backgroundColor: null, // 透明背景
+    logging: false,
+  }).then((canvas) => {
+    const link = document.createElement("a");
+    link.download = "div-screenshot.png";
+    link.href = canvas.toDataURL("image/png");
+    link.click();
+  });
+}
+
+// 聚焦搜索框，只在显示数据时可用
+function focusSearch() {
+  const searchBox = document.getElementById("searchBox");
+  if (searchBox.offsetParent === null) return false;
+  searchBox.focus();
+  searchBox.select();
+}
+
+// 从命令面板清除数据前先确认
+function confirmClearData() {
+  const message = "确定清除已导入的对话数据吗？收藏、书签和保存的查询会保留。";
+  if (confirm(message)) backToUpload();
+}
+
+// 命令面板中的操作和对话，只列出当前可用的操作
+function getPaletteItems() {
+  const hasData = uiManager.allConversations.length > 0;
+  const actions = [
+    { label: "搜索对话", hint: "/", run: focusSearch, when: hasData },
+    { label: "导出全部对话", run: exportAllData, when: hasData },
+    { label: "导出收藏的对话", run: exportFavorites, when: hasData },
+    {
+      label: "导出选中的对话",
+      run: exportSelected,
+      when: uiManager.selectedIds.size > 0,
+    },
+    {
+      label: "打印当前对话",
+      run: () => window.print(),
+      when: !!uiManager.currentConversation,
+    },
+    {
+      label: "合并导入新数据",
+      run: () => document.getElementById("mergeFileInput").click(),
+      when: hasData,
+    },
+    { label: "备份应用数据", run: exportBackup, when: true },
+    { label: "切换深色 / 浅色主题", run: toggleTheme, when: true },
+    { label: "清除数据并返回上传页", run: confirmClearData, when: hasData },
+  ]
+    .filter((action) => action.when)
+    .map(({ label, hint, run }) => ({
+      type: "action",
+      label,
+      hint: hint || "操作",
+      run,
+    }));
+
+  const conversations = uiManager.allConversations.map((conv) => ({
+    type: "conversation",
+    label: conv.title || "未命名对话",
+    hint: formatDate(conv.create_time),
+    run: () => uiManager.selectConversation(conv.id),
+  }));
+  return [...actions, ...conversations];
+}
+
+// 键盘快捷键；处理函数返回 false 时保留按键的默认行为
+registerShortcuts({
+  j: () => uiManager.moveActiveConversation(1),
+  k: () => uiManager.moveActiveConversation(-1),
+  // 焦点在对话列表上时方向键与 j / k 相同
+  ArrowDown: (event) => {
+    if (event.target.id !== "conversationList") return false;
+    uiManager.moveActiveConversation(1);
+  },
+  ArrowUp: (event) => {
+    if (event.target.id !== "conversationList") return false;
+    uiManager.moveActiveConversation(-1);
+  },
+  // 焦点在按钮或链接上时回车仍用于点击
+  Enter: (event) => {
+    const target = event.target;
+    if (target !== document.body && target.id !== "conversationList") {
+      return false;
+    }
+    if (!uiManager.activeConversationId) return false;
+    uiManager.openActiveConversation();
+  },
+  "/": focusSearch,
+  f: () => uiManager.toggleActiveFavorite(),
+  x: (event) => uiManager.toggleActiveSelection(event),
+  n: () => uiManager.nextSearchHit(),
+  p: () => uiManager.prevSearchHit(),
+  "mod+k": () => commandPalette.toggle(),
+  // 关闭打开的对话框，相当于点击取消
+  Escape: () => {
+    if (commandPalette.isOpen()) {
+      commandPalette.close();
+      return;
+    }
+    const dialog = document.querySelector(".dialog-overlay:not(.hidden)");
+    const cancelBtn = dialog?.querySelector(".dialog-actions .btn-secondary");
+    if (!cancelBtn) return false;
+    cancelBtn.click();
+  },
+});
+
+// 页面按钮的操作
+registerActions({
+  backToUpload,
+  exportAllData,
+  exportFavorites,
+  exportSelected,
+  deleteSelected,
+  exportBackup,
+  takeScreenshot,
+  // 打开隐藏的文件选择框
+  chooseFile: (element) =>
+    document.getElementById(element.dataset.input).click(),
+  print: () => window.print(),
+});
 
 // 启动应用
 document.addEventListener("DOMContentLoaded", initApp);
+window.addEventListener("load", registerServiceWorker);
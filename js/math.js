@@ -0,0 +1,100 @@
+// 数学公式：Markdown 解析前先把公式换成占位符，解析后用 KaTeX 渲染
+// 支持 $$…$$、\[…\]（独立公式）和 \(…\)、$…$（行内公式），代码中的内容不处理
+import { escapeHtml } from "./sanitize.js";
+
+// 占位符使用私有区字符，Markdown 解析不会改动
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
+
+// 行内 $…$ 两侧不能是空白，结束的 $ 后不能紧跟数字，避免把金额当成公式
+const MATH_PATTERN =
+  /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$])\$(?![\s$])((?:\\.|[^$\n\\])+?)(?<!\s)\$(?![\d$])/g;
+
+// 围栏代码块和行内代码
+const CODE_PATTERN =
+  /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[^\n]*|(?![\s\S]))|(`+)[^`][\s\S]*?\2(?!`)/gm;
+
+// 把公式换成占位符，返回 { text, formulas }
+function extractMath(text) {
+  const formulas = [];
+  if (!/\$|\\[[(]/.test(text)) return { text, formulas };
+
+  const replaceMath = (segment) =>
+    segment.replace(MATH_PATTERN, (source, display, bracket, paren, inline) => {
+      const tex = display ?? bracket ?? paren ?? inline;
+      formulas.push({
+        source,
+        tex: tex.trim(),
+        displayMode: display !== undefined || bracket !== undefined,
+      });
+      return `\uE000${formulas.length - 1}\uE001`;
+    });
+
+  // 只替换代码以外的部分
+  let result = "";
+  let last = 0;
+  for (const match of text.matchAll(CODE_PATTERN)) {
+    result += replaceMath(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  result += replaceMath(text.slice(last));
+  return { text: result, formulas };
+}
+
+// 渲染单个公式；没有加载 KaTeX 或渲染出错时显示原文
+function renderFormula(formula) {
+  if (typeof katex === "undefined") return escapeHtml(formula.source);
+  try {
+    return katex.renderToString(formula.tex, {
+      displayMode: formula.displayMode,
+      throwOnError: false,
+    });
+  } catch (error) {
+    console.warn("公式渲染错误:", error);
+    return escapeHtml(formula.source);
+  }
+}
+
+// 把（已过滤的）HTML 中的占位符换成渲染后的公式
+// 只替换文本节点，属性中的占位符（如图片的 alt）换回公式原文
+function restoreMath(html, formulas) {
+  if (formulas.length === 0 || !html.includes("\uE000")) return html;
+
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  const root = template.content;
+
+  root.querySelectorAll("*").forEach((el) => {
+    Array.from(el.attributes).forEach(({ name, value }) => {
+      if (!value.includes("\uE000")) return;
+      el.setAttribute(
+        name,
+        value.replace(
+          PLACEHOLDER_PATTERN,
+          (placeholder, index) => formulas[Number(index)]?.source ?? placeholder
+        )
+      );
+    });
+  });
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (walker.currentNode.data.includes("\uE000")) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+  textNodes.forEach((node) => {
+    const fragment = document.createElement("template");
+    fragment.innerHTML = escapeHtml(node.data).replace(
+      PLACEHOLDER_PATTERN,
+      (placeholder, index) => {
+        const formula = formulas[Number(index)];
+        return formula ? renderFormula(formula) : placeholder;
+      }
+    );
+    node.replaceWith(fragment.content);
+  });
+  return template.innerHTML;
+}
+
+export { extractMath, restoreMath };
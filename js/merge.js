@@ -0,0 +1,40 @@
+// 合并导入：对比新导出与数据库中的对话
+
+// 返回 { added, updated, unchanged, removed }
+// updated 以 update_time 判断，新导出中更新过的对话才会覆盖
+function diffConversations(existing, incoming) {
+  const existingById = new Map(existing.map((conv) => [conv.id, conv]));
+  const incomingIds = new Set();
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+
+  incoming.forEach((conv) => {
+    incomingIds.add(conv.id);
+    const old = existingById.get(conv.id);
+    if (!old) {
+      added.push(conv);
+    } else if ((conv.update_time || 0) > (old.update_time || 0)) {
+      updated.push(conv);
+    } else {
+      unchanged.push(conv);
+    }
+  });
+
+  // 新导出中没有的对话（在 ChatGPT 中删除或归档的）
+  const removed = existing.filter((conv) => !incomingIds.has(conv.id));
+
+  return { added, updated, unchanged, removed };
+}
+
+// 导入记录中保存的摘要
+function summarizeDiff(diff) {
+  return {
+    added: diff.added.length,
+    updated: diff.updated.length,
+    unchanged: diff.unchanged.length,
+    removed: diff.removed.length,
+  };
+}
+
+export { diffConversations, summarizeDiff };
@@ -29,11 +29,29 @@ function mergeConsecutiveMessages(messages) {
 
   for (let i = 1; i < messages.length; i++) {
     const nextMsg = messages[i];
-    // 如果角色相同，则合并内容并更新时间戳
-    if (nextMsg.role === currentMergedMsg.role) {
+    // 如果角色相同，则合并内容并更新时间戳（分支起点不合并，保留切换入口）
+    if (nextMsg.role === currentMergedMsg.role && !nextMsg.branches) {
       const newContent = nextMsg.content || "";
       currentMergedMsg.content +=
-        (currentMergedMsg.content ? "\n" : "") + newContent;
+        (currentMergedMsg.content && newContent ? "\n" : "") + newContent;
+      currentMergedMsg.blocks = [
+        ...(currentMergedMsg.blocks || []),
+        ...(nextMsg.blocks || []),
+      ];
+      currentMergedMsg.attachments = [
+        ...(currentMergedMsg.attachments || []),
+        ...(nextMsg.attachments || []),
+      ];
+      // 记录并入的节点ID，按节点定位消息时找到合并后的那一条
+      currentMergedMsg.mergedIds = [
+        ...(currentMergedMsg.mergedIds || []),
+        nextMsg.id,
+      ];
+      // 模型信息取第一条有记录的，结束原因取最后一条
+      currentMergedMsg.model = currentMergedMsg.model || nextMsg.model;
+      currentMergedMsg.gizmoId = currentMergedMsg.gizmoId || nextMsg.gizmoId;
+      currentMergedMsg.finishType =
+        nextMsg.finishType || currentMergedMsg.finishType;
       // 始终取最新的更新时间
       const nextCreateTime = nextMsg.createTime || 0;
       const currentCreateTime = currentMergedMsg.createTime || 0;
@@ -49,70 +67,476 @@ function mergeConsecutiveMessages(messages) {
   return mergedMessages;
 }
 
+// 查找对话树的根节点
+function findRootId(conversation) {
+  const mapping = conversation.mapping || {};
+  let nodeId = conversation.current_node;
+  if (nodeId == null || !mapping[nodeId]) {
+    return Object.keys(mapping).find((id) => !mapping[id].parent) ?? null;
+  }
+  while (mapping[nodeId].parent != null && mapping[mapping[nodeId].parent]) {
+    nodeId = mapping[nodeId].parent;
+  }
+  return nodeId;
+}
+
+// 获取节点的有效子节点
+function getChildren(mapping, nodeId) {
+  return (mapping[nodeId]?.children || []).filter((id) => mapping[id]);
+}
+
+// current_node 所在路径上的所有节点
+function getCurrentPathIds(conversation) {
+  const mapping = conversation.mapping || {};
+  const ids = new Set();
+  let nodeId = conversation.current_node;
+  while (nodeId != null && mapping[nodeId]) {
+    ids.add(nodeId);
+    nodeId = mapping[nodeId].parent;
+  }
+  return ids;
+}
+
+// 根据分支选择（父节点ID -> 子节点序号）计算从根到叶的路径
+// 未指定的分叉默认沿 current_node 走，不在当前路径上时取最新的分支
+function getBranchPath(conversation, choices = {}) {
+  const mapping = conversation.mapping || {};
+  const currentPath = getCurrentPathIds(conversation);
+  const rootId = findRootId(conversation);
+  if (rootId == null) return [];
+
+  const path = [{ id: rootId, parentId: null, index: 0, total: 1 }];
+  let nodeId = rootId;
+  while (true) {
+    const children = getChildren(mapping, nodeId);
+    if (children.length === 0) break;
+
+    let index = 0;
+    if (children.length > 1) {
+      index = choices[nodeId];
+      if (index == null || index < 0 || index >= children.length) {
+        index = children.findIndex((id) => currentPath.has(id));
+        if (index === -1) index = children.length - 1;
+      }
+    }
+
+    path.push({
+      id: children[index],
+      parentId: nodeId,
+      index,
+      total: children.length,
+    });
+    nodeId = children[index];
+  }
+  return path;
+}
+
+// 按分支选择提取消息，分叉处的消息带有 branches 信息
+function extractBranchMessages(conversation, choices = {}) {
+  const messages = [];
+  let pendingBranches = [];
+
+  getBranchPath(conversation, choices).forEach((step) => {
+    if (step.total > 1) {
+      pendingBranches.push({
+        parentId: step.parentId,
+        index: step.index,
+        total: step.total,
+      });
+    }
+
+    const node = conversation.mapping[step.id];
+    if (!isValidMessage(node)) return;
+    const message = processMessage(node);
+    if (!message) return;
+
+    if (pendingBranches.length > 0) {
+      message.branches = pendingBranches;
+      pendingBranches = [];
+    }
+    messages.push(message);
+  });
+
+  return mergeConsecutiveMessages(messages);
+}
+
+// 计算切换到指定节点所需的分支选择
+function selectBranchNode(conversation, nodeId, choices = {}) {
+  const mapping = conversation.mapping || {};
+  const nextChoices = { ...choices };
+  let id = nodeId;
+  while (mapping[id]?.parent != null && mapping[mapping[id].parent]) {
+    const parentId = mapping[id].parent;
+    const siblings = getChildren(mapping, parentId);
+    if (siblings.length > 1) nextChoices[parentId] = siblings.indexOf(id);
+    id = parentId;
+  }
+  return nextChoices;
+}
+
+// 构建完整的对话树，用于分支大纲
+function buildBranchTree(conversation) {
+  const mapping = conversation.mapping || {};
+  const build = (nodeId) => {
+    const node = mapping[nodeId];
+    return {
+      id: nodeId,
+      message: isValidMessage(node) ? processMessage(node) : null,
+      children: getChildren(mapping, nodeId).map(build),
+    };
+  };
+
+  const rootId = findRootId(conversation);
+  return rootId == null ? null : build(rootId);
+}
+
+// 统计对话中的分叉数量（重新生成或编辑过的位置）
+function countBranches(conversation) {
+  const mapping = conversation.mapping || {};
+  return Object.keys(mapping).filter(
+    (id) => getChildren(mapping, id).length > 1
+  ).length;
+}
+
+// 系统上下文类消息（自定义指令、模型记忆），默认隐藏但需要保留
+const CONTEXT_CONTENT_TYPES = ["user_editable_context", "model_editable_context"];
+
+// 会写入模型记忆的工具，其结果（如 "Model set context updated."）视为系统通知
+const MEMORY_TOOLS = ["bio"];
+
 // 验证消息是否有效
 function isValidMessage(node) {
-  if (!node.message || !node.message.content || !node.message.content.parts) {
+  if (!node.message || !node.message.content) {
     return false;
   }
 
   const msg = node.message;
-  const role = msg.author?.role;
 
-  // 跳过空消息和系统消息
-  if (role === "system" || msg.content.parts.length === 0) {
+  // 跳过隐藏消息，系统上下文除外
+  if (
+    msg.metadata?.is_visually_hidden_from_conversation &&
+    !CONTEXT_CONTENT_TYPES.includes(msg.content.content_type)
+  ) {
     return false;
   }
 
-  // 跳过隐藏消息
-  if (msg.metadata?.is_visually_hidden_from_conversation) {
-    return false;
+  return true;
+}
+
+// 从 asset_pointer 中提取文件 ID，例如 file-service://file-AbC123 -> file-AbC123
+function parseAssetPointer(pointer) {
+  if (typeof pointer !== "string") return null;
+  const match = pointer.split("://").pop().match(/^(file[-_][A-Za-z0-9]+)/);
+  return match ? match[1] : null;
+}
+
+// 去掉正文中的引用标记，例如 【11†source】 和私有区字符包裹的 cite 标记
+function stripCitationMarkers(text) {
+  return text
+    .replace(/\ue200[^\ue201]*\ue201/g, "")
+    .replace(/【\d+(?::\d+)?†[^】]*】/g, "");
+}
+
+// 提取网页引用来源
+function extractCitations(metadata) {
+  const sources = new Map();
+  const addSource = (item) => {
+    if (!item?.url || sources.has(item.url)) return;
+    sources.set(item.url, {
+      title: item.title || item.url,
+      url: item.url,
+      snippet: item.text || item.snippet || "",
+    });
+  };
+
+  (metadata?.citations || []).forEach((citation) =>
+    addSource(citation.metadata)
+  );
+  (metadata?.content_references || []).forEach((reference) => {
+    addSource(reference);
+    (reference.items || []).forEach(addSource);
+  });
+
+  return Array.from(sources.values());
+}
+
+// 把 content.parts 中的单个部分转换为消息块
+function partToBlock(part, msg) {
+  const recipient = msg.recipient || "all";
+  const authorRole = msg.author?.role;
+
+  if (typeof part === "string") {
+    if (!part.trim()) return null;
+    if (authorRole === "tool" && !MEMORY_TOOLS.includes(msg.author?.name)) {
+      return { type: "tool_output", name: msg.author?.name || "tool", text: part };
+    }
+    if (recipient !== "all") {
+      return { type: "tool_call", name: recipient, text: part };
+    }
+    const text = stripCitationMarkers(part).trim();
+    return text ? { type: "text", text } : null;
   }
 
-  return true;
+  if (!part || typeof part !== "object") return null;
+
+  switch (part.content_type) {
+    case "image_asset_pointer": {
+      const id = parseAssetPointer(part.asset_pointer);
+      if (!id) return null;
+      return {
+        type: "image",
+        id,
+        prompt: part.metadata?.dalle?.prompt || "",
+        width: part.width || null,
+        height: part.height || null,
+      };
+    }
+    case "audio_asset_pointer": {
+      const id = parseAssetPointer(part.asset_pointer);
+      return id ? { type: "audio", id } : null;
+    }
+    case "audio_transcription":
+      return part.text?.trim() ? { type: "text", text: part.text } : null;
+    default:
+      return null;
+  }
+}
+
+// 把消息内容转换为有类型的消息块：文本、代码、运行结果、图片、引用、工具调用
+function extractBlocks(msg) {
+  const content = msg.content;
+  const recipient = msg.recipient || "all";
+  const blocks = [];
+
+  switch (content.content_type) {
+    case "code":
+      if (!content.text?.trim()) break;
+      if (recipient === "python") {
+        const language =
+          !content.language || content.language === "unknown"
+            ? "python"
+            : content.language;
+        blocks.push({ type: "code", language, text: content.text });
+      } else {
+        blocks.push({
+          type: "tool_call",
+          name: recipient === "all" ? "code" : recipient,
+          text: content.text,
+        });
+      }
+      break;
+
+    case "execution_output":
+      if (content.text?.trim()) {
+        blocks.push({ type: "execution", text: content.text });
+      }
+      // 代码解释器生成的图表
+      (msg.metadata?.aggregate_result?.messages || []).forEach((item) => {
+        const id = parseAssetPointer(item.image_url);
+        if (item.message_type === "image" && id) {
+          blocks.push({ type: "image", id, prompt: "", width: null, height: null });
+        }
+      });
+      break;
+
+    case "tether_browsing_display":
+      if (content.summary || content.result) {
+        blocks.push({
+          type: "tool_output",
+          name: "browser",
+          text: content.summary || content.result,
+        });
+      }
+      break;
+
+    case "tether_quote":
+      if (content.url) {
+        blocks.push({
+          type: "citation",
+          sources: [
+            {
+              title: content.title || content.domain || content.url,
+              url: content.url,
+              snippet: content.text || "",
+            },
+          ],
+        });
+      }
+      break;
+
+    case "user_editable_context": {
+      const sections = [
+        ["用户信息", content.user_profile],
+        ["自定义指令", content.user_instructions],
+      ]
+        .filter(([, text]) => text?.trim())
+        .map(([label, text]) => `**${label}**\n\n${text.trim()}`);
+      if (sections.length > 0) {
+        blocks.push({ type: "text", text: sections.join("\n\n") });
+      }
+      break;
+    }
+
+    case "model_editable_context":
+      if (content.model_set_context?.trim()) {
+        blocks.push({
+          type: "text",
+          text: `**模型记忆**\n\n${content.model_set_context.trim()}`,
+        });
+      }
+      break;
+
+    case "system_error":
+      blocks.push({
+        type: "tool_output",
+        name: content.name || "error",
+        text: content.text || "",
+      });
+      break;
+
+    default:
+      (content.parts || []).forEach((part) => {
+        const block = partToBlock(part, msg);
+        if (block) blocks.push(block);
+      });
+  }
+
+  const sources = extractCitations(msg.metadata);
+  if (sources.length > 0) {
+    blocks.push({ type: "citation", sources });
+  }
+
+  return blocks;
+}
+
+// 把消息块转换为纯文本（Markdown），用于搜索、统计和导出
+function blocksToText(blocks) {
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case "text":
+          return block.text;
+        case "code":
+          return `\`\`\`${block.language}\n${block.text}\n\`\`\``;
+        case "tool_call":
+        case "tool_output":
+        case "execution":
+          return `\`\`\`\n${block.text}\n\`\`\``;
+        case "image":
+          return block.prompt ? `[图片: ${block.prompt}]` : "[图片]";
+        case "audio":
+          return "[音频]";
+        case "citation":
+          return block.sources
+            .map((source) => `- [${source.title}](${source.url})`)
+            .join("\n");
+        default:
+          return "";
+      }
+    })
+    .filter(Boolean)
+    .join("\n")
+    .trim();
+}
+
+// 提取不在正文中的附件（上传的文件等）
+function extractAttachments(msg, blocks) {
+  const inlineIds = new Set(
+    blocks.filter((block) => block.id).map((block) => block.id)
+  );
+  const attachments = [];
+
+  (msg.metadata?.attachments || []).forEach((item) => {
+    if (!item.id || inlineIds.has(item.id)) return;
+    inlineIds.add(item.id);
+    const mimeType = item.mime_type || "";
+    let type = "file";
+    if (mimeType.startsWith("image/")) type = "image";
+    else if (mimeType.startsWith("audio/")) type = "audio";
+    attachments.push({ id: item.id, name: item.name || item.id, type });
+  });
+
+  return attachments;
 }
 
 // 处理单条消息
 function processMessage(node) {
   const msg = node.message;
 
-  // 识别角色
+  // 识别角色：user、assistant、tool（工具调用与结果）、system（系统上下文与通知）
   let role = "user";
   const authorRole = msg.author?.role || "unknown";
-  if (authorRole === "assistant" || authorRole === "tool") {
-    role = "assistant";
-  } else if (authorRole === "system") {
+  const recipient = msg.recipient || "all";
+  if (authorRole === "system") {
+    role = "system";
+  } else if (authorRole === "tool") {
+    role = MEMORY_TOOLS.includes(msg.author?.name) ? "system" : "tool";
+  } else if (authorRole === "assistant") {
+    role = recipient === "all" ? "assistant" : "tool";
+  } else if (CONTEXT_CONTENT_TYPES.includes(msg.content.content_type)) {
     role = "system";
   }
 
-  // 提取文本内容
-  const content = msg.content.parts
-    .filter((part) => typeof part === "string" && part.trim())
-    .join("\n")
-    .trim();
+  // 提取消息块和文本内容
+  const blocks = extractBlocks(msg);
+  const content = blocksToText(blocks);
+  const attachments = extractAttachments(msg, blocks);
 
-  if (!content) return null;
+  if (blocks.length === 0 && attachments.length === 0) return null;
 
   return {
     id: msg.id || node.id,
     role: role,
     content: content,
+    blocks: blocks,
+    attachments: attachments,
+    model: msg.metadata?.model_slug || null,
+    gizmoId: msg.metadata?.gizmo_id || null,
+    finishType: msg.metadata?.finish_details?.type || null,
     createTime: msg.create_time || 0,
   };
 }
 
+// 按对话 ID 整理 message_feedback.json 中的反馈
+function groupFeedback(feedback) {
+  const feedbackMap = new Map();
+  feedback.forEach((item) => {
+    if (!item.conversation_id) return;
+    const list = feedbackMap.get(item.conversation_id) || [];
+    list.push({
+      messageId: item.message_id || item.id,
+      rating: item.rating,
+    });
+    feedbackMap.set(item.conversation_id, list);
+  });
+  return feedbackMap;
+}
+
 // 处理对话数据
-function processConversationsData(data) {
+function processConversationsData(data, { feedback = [] } = {}) {
   const conversationsData = Array.isArray(data) ? data : [data];
+  const feedbackMap = groupFeedback(feedback);
 
   conversationsData.forEach((conv, index) => {
     try {
     const messages = extractMessages(conv);
+    const convFeedback = feedbackMap.get(conv.id) || [];
+    convFeedback.forEach((item) => {
+      const target = messages.find((m) => m.id === item.messageId);
+      if (target) target.feedback = item.rating;
+    });
+    conv.feedback = convFeedback;
     conv.messages = messages;
     conv.messageCount = messages.length;
     conv.userMessageCount = messages.filter((m) => m.role === "user").length;
     conv.assistantMessageCount = messages.filter(
       (m) => m.role === "assistant"
     ).length;
+    conv.toolMessageCount = messages.filter((m) => m.role === "tool").length;
+    conv.systemMessageCount = messages.filter(
+      (m) => m.role === "system"
+    ).length;
+    conv.branchCount = countBranches(conv);
     conv.lastCreate = conv.create_time || 0;
     } catch (error) {
       console.error(`处理对话 ${index} 时出错:`, error);
@@ -120,37 +544,160 @@ function processConversationsData(data) {
       conv.messageCount = 0;
       conv.userMessageCount = 0;
       conv.assistantMessageCount = 0;
+      conv.toolMessageCount = 0;
+      conv.systemMessageCount = 0;
     }
   });
 
   return conversationsData;
 }
 
+// 单条消息的统计信息，不含正文
+function toMessageStat(msg) {
+  return {
+    role: msg.role,
+    createTime: msg.createTime,
+    model: msg.model,
+    gizmoId: msg.gizmoId,
+    characters: (msg.content || "").length,
+  };
+}
+
+// 对话的消息统计：摘要中已经算好，完整对话从消息计算
+function getMessageStats(conv) {
+  return conv.messageStats || (conv.messages || []).map(toMessageStat);
+}
+
+// 对话摘要：列表、筛选和图表只需要这些字段，完整消息在打开对话时再读取
+function createConversationSummary(conv) {
+  return {
+    id: conv.id,
+    title: conv.title,
+    create_time: conv.create_time,
+    update_time: conv.update_time,
+    default_model_slug: conv.default_model_slug,
+    gizmo_id: conv.gizmo_id,
+    messageCount: conv.messageCount || 0,
+    userMessageCount: conv.userMessageCount || 0,
+    assistantMessageCount: conv.assistantMessageCount || 0,
+    toolMessageCount: conv.toolMessageCount || 0,
+    systemMessageCount: conv.systemMessageCount || 0,
+    branchCount: conv.branchCount || 0,
+    lastCreate: conv.lastCreate || conv.create_time || 0,
+    messageStats: getMessageStats(conv),
+  };
+}
+
+// 日期 <-> 本地时区的 "YYYY-MM-DD"，每日统计、趋势图和热力图共用
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
 // 聚合每日消息统计
 function aggregateDailyMessageCounts(conversations) {
   const dailyCounts = {};
 
   conversations.forEach((conv) => {
-    conv.messages?.forEach((msg) => {
+    getMessageStats(conv).forEach((msg) => {
       if (!msg.createTime) return; // 防御性编程)
-      const date = new Date(msg.createTime * 1000);
-      // 使用本地时区格式化日期
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const dateKey = `${year}-${month}-${day}`;
-      dailyCounts[dateKey] = (dailyCounts[dateKey] || 0) + 1;
+      const dateKey = toDateKey(new Date(msg.createTime * 1000));
+      const counts = (dailyCounts[dateKey] ||= {
+        count: 0,
+        user: 0,
+        assistant: 0,
+      });
+      counts.count++;
+      if (msg.role === "user") counts.user++;
+      else if (msg.role === "assistant") counts.assistant++;
     });
   });
 
   // 返回按日期排序的数组
   const sortedData = Object.entries(dailyCounts)
     .sort(([a], [b]) => a.localeCompare(b))
-    .map(([date, count]) => ({ date, count }));
+    .map(([date, counts]) => ({ date, ...counts }));
 
   return sortedData;
 }
 
+// 按星期和小时统计消息数：matrix[星期（周一为 0）][小时]
+function aggregateHourlyMatrix(conversations) {
+  const matrix = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+  conversations.forEach((conv) => {
+    getMessageStats(conv).forEach((msg) => {
+      if (!msg.createTime) return;
+      const date = new Date(msg.createTime * 1000);
+      matrix[(date.getDay() + 6) % 7][date.getHours()]++;
+    });
+  });
+
+  return matrix;
+}
+
+// 时间戳 -> 本地时区的 "YYYY-MM"
+function formatMonthKey(timestamp) {
+  const date = new Date(timestamp * 1000);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  return `${date.getFullYear()}-${month}`;
+}
+
+// 按模型、自定义 GPT 和月份统计消息数、对话数和字符数
+// 没有模型记录的消息（如用户消息）计入对话的默认模型
+function calculateModelStatistics(conversations) {
+  const models = new Map();
+  const gizmos = new Map();
+  const months = new Map();
+
+  const add = (groups, key, convId, characters) => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        messages: 0,
+        characters: 0,
+        conversations: new Set(),
+      });
+    }
+    const group = groups.get(key);
+    group.messages++;
+    group.characters += characters;
+    group.conversations.add(convId);
+  };
+
+  conversations.forEach((conv) => {
+    const defaultModel = conv.default_model_slug || "unknown";
+    getMessageStats(conv).forEach((msg) => {
+      const characters = msg.characters;
+      add(models, msg.model || defaultModel, conv.id, characters);
+
+      const gizmoId = msg.gizmoId || conv.gizmo_id;
+      if (gizmoId) add(gizmos, gizmoId, conv.id, characters);
+
+      const time = msg.createTime || conv.create_time;
+      if (time) add(months, formatMonthKey(time), conv.id, characters);
+    });
+  });
+
+  const toList = (groups) =>
+    Array.from(groups.values()).map((group) => ({
+      ...group,
+      conversations: group.conversations.size,
+    }));
+
+  return {
+    models: toList(models).sort((a, b) => b.messages - a.messages),
+    gizmos: toList(gizmos).sort((a, b) => b.messages - a.messages),
+    months: toList(months).sort((a, b) => b.key.localeCompare(a.key)),
+  };
+}
+
 // 计算统计数据
 function calculateStatistics(conversations) {
   const totalMessages = conversations.reduce(
@@ -165,18 +712,39 @@ function calculateStatistics(conversations) {
     (sum, conv) => sum + (conv.assistantMessageCount || 0),
     0
   );
+  const totalToolMessages = conversations.reduce(
+    (sum, conv) => sum + (conv.toolMessageCount || 0),
+    0
+  );
+  const totalSystemMessages = conversations.reduce(
+    (sum, conv) => sum + (conv.systemMessageCount || 0),
+    0
+  );
 
   return {
     totalConversations: conversations.length,
     totalMessages,
     totalUserMessages,
     totalAssistantMessages,
+    totalToolMessages,
+    totalSystemMessages,
   };
 }
 
 export {
   extractMessages,
+  extractBranchMessages,
+  getBranchPath,
+  selectBranchNode,
+  buildBranchTree,
+  countBranches,
   processConversationsData,
+  getMessageStats,
+  createConversationSummary,
   aggregateDailyMessageCounts,
+  aggregateHourlyMatrix,
   calculateStatistics,
+  calculateModelStatistics,
+  toDateKey,
+  parseDateKey,
 };
\ No newline at end of file
@@ -0,0 +1,291 @@
+// 对话列表的查询语言
+// 支持：关键词、"引号短语"、title:、role:、model:、is:favorite、messages:>20、
+// before:/after: 日期，以及 AND / OR / NOT（或 -前缀）和括号
+import { getMessageStats } from "./parser.js";
+
+const FIELDS = ["title", "role", "model", "is", "messages", "before", "after"];
+
+const ROLE_ALIASES = {
+  user: "user",
+  you: "user",
+  assistant: "assistant",
+  agent: "assistant",
+  tool: "tool",
+  system: "system",
+};
+
+// 把查询字符串切分为记号
+function lexQuery(query) {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(\()|(\))|(-)(?=\S)|([A-Za-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|([^\s()"]+))/gy;
+  let match;
+  while ((match = pattern.exec(query)) !== null && match[0] !== "") {
+    const [, open, close, minus, field, fieldQuoted, fieldValue, phrase, word] =
+      match;
+    if (open) tokens.push({ type: "open" });
+    else if (close) tokens.push({ type: "close" });
+    else if (minus) tokens.push({ type: "not" });
+    else if (field && FIELDS.includes(field.toLowerCase())) {
+      tokens.push({
+        type: "field",
+        field: field.toLowerCase(),
+        value: fieldQuoted ?? fieldValue,
+      });
+    } else if (field) {
+      // 不认识的字段按普通关键词处理，例如 http://...
+      tokens.push({
+        type: "text",
+        text: `${field}:${fieldQuoted ?? fieldValue}`,
+        phrase: false,
+      });
+    } else if (phrase != null) {
+      tokens.push({ type: "text", text: phrase, phrase: true });
+    } else if (word === "AND" || word === "&&") {
+      tokens.push({ type: "and" });
+    } else if (word === "OR" || word === "||" || word === "|") {
+      tokens.push({ type: "or" });
+    } else if (word === "NOT") {
+      tokens.push({ type: "not" });
+    } else {
+      tokens.push({ type: "text", text: word, phrase: false });
+    }
+  }
+  return tokens;
+}
+
+// 递归下降解析：or := and (OR and)*；and := unary (AND? unary)*
+function parseQuery(query) {
+  const tokens = lexQuery(query || "");
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === "or") {
+      pos++;
+      children.push(parseAnd());
+    }
+    // 忽略 OR 两侧的空条件
+    const filtered = children.filter((child) => !isEmptyQuery(child));
+    if (filtered.length === 0) return children[0];
+    return filtered.length === 1
+      ? filtered[0]
+      : { type: "or", children: filtered };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length) {
+      const token = peek();
+      if (token.type === "or" || token.type === "close") break;
+      if (token.type === "and") {
+        pos++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    const filtered = children.filter(Boolean);
+    return filtered.length === 1
+      ? filtered[0]
+      : { type: "and", children: filtered };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type === "not") {
+      pos++;
+      if (pos >= tokens.length) return null;
+      const child = parseUnary();
+      return child ? { type: "not", child } : null;
+    }
+    if (token.type === "open") {
+      pos++;
+      const node = parseOr();
+      // 容忍缺少的右括号
+      if (peek()?.type === "close") pos++;
+      return node;
+    }
+    pos++;
+    if (token.type === "field") {
+      return parseField(token);
+    }
+    return {
+      type: "text",
+      text: token.text.toLowerCase(),
+      phrase: token.phrase,
+    };
+  }
+
+  const root = { type: "and", children: [] };
+  while (pos < tokens.length) {
+    // 跳过多余的右括号
+    if (peek().type === "close") {
+      pos++;
+      continue;
+    }
+    root.children.push(parseOr());
+  }
+  return root.children.length === 1 ? root.children[0] : root;
+}
+
+// 把日期字符串（YYYY、YYYY-MM、YYYY-MM-DD）转换为本地时间的起始秒数
+function parseDateValue(value) {
+  const match = (value || "").match(
+    /^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?$/
+  );
+  if (!match) return null;
+  const [, year, month = 1, day = 1] = match;
+  return (
+    new Date(Number(year), Number(month) - 1, Number(day)).getTime() / 1000
+  );
+}
+
+function parseField(token) {
+  const value = (token.value || "").trim();
+  switch (token.field) {
+    case "title":
+      return { type: "title", value: value.toLowerCase() };
+    case "role":
+      return {
+        type: "role",
+        value: ROLE_ALIASES[value.toLowerCase()] || value,
+      };
+    case "model":
+      return { type: "model", value: value.toLowerCase() };
+    case "is":
+      return { type: "is", value: value.toLowerCase() };
+    case "messages": {
+      const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+      if (!match) return null;
+      return { type: "messages", op: match[1] || "=", value: Number(match[2]) };
+    }
+    case "before":
+    case "after": {
+      const time = parseDateValue(value);
+      return time == null ? null : { type: token.field, value: time };
+    }
+    default:
+      return null;
+  }
+}
+
+// 遍历语法树
+function walkQuery(node, visit, negated = false) {
+  if (!node) return;
+  visit(node, negated);
+  if (node.children)
+    node.children.forEach((child) => walkQuery(child, visit, negated));
+  if (node.child) walkQuery(node.child, visit, !negated);
+}
+
+// 所有需要全文匹配的关键词
+function collectTextTerms(ast) {
+  const terms = new Map();
+  walkQuery(ast, (node) => {
+    if (node.type === "text") terms.set(node.text, node);
+  });
+  return Array.from(terms.values());
+}
+
+// 未被 NOT 的关键词，用于高亮和相关度
+function collectPositiveTerms(ast) {
+  const terms = new Set();
+  walkQuery(ast, (node, negated) => {
+    if (node.type === "text" && !negated) terms.add(node.text);
+  });
+  return Array.from(terms);
+}
+
+// role: 限定关键词只在这些角色的消息中匹配
+function collectRoles(ast) {
+  const roles = new Set();
+  walkQuery(ast, (node, negated) => {
+    if (node.type === "role" && !negated) roles.add(node.value);
+  });
+  return Array.from(roles);
+}
+
+// 对话使用过的模型
+function getConversationModels(conv) {
+  const models = new Set();
+  if (conv.default_model_slug)
+    models.add(conv.default_model_slug.toLowerCase());
+  getMessageStats(conv).forEach((msg) => {
+    if (msg.model) models.add(msg.model.toLowerCase());
+  });
+  return models;
+}
+
+function compareNumber(actual, op, expected) {
+  switch (op) {
+    case ">":
+      return actual > expected;
+    case ">=":
+      return actual >= expected;
+    case "<":
+      return actual < expected;
+    case "<=":
+      return actual <= expected;
+    default:
+      return actual === expected;
+  }
+}
+
+// 根据语法树生成过滤函数
+// context.textMatches: 关键词 -> Map(对话ID -> 命中信息)
+// context.isFavorite: 对话ID -> 是否收藏
+function createQueryFilter(ast, context) {
+  const evaluate = (node, conv) => {
+    if (!node) return true;
+    switch (node.type) {
+      case "and":
+        return node.children.every((child) => evaluate(child, conv));
+      case "or":
+        return node.children.some((child) => evaluate(child, conv));
+      case "not":
+        return !evaluate(node.child, conv);
+      case "text":
+        return context.textMatches.get(node.text)?.has(conv.id) || false;
+      case "title":
+        return (conv.title || "").toLowerCase().includes(node.value);
+      case "role":
+        return getMessageStats(conv).some((msg) => msg.role === node.value);
+      case "model":
+        return Array.from(getConversationModels(conv)).some((model) =>
+          model.includes(node.value)
+        );
+      case "is":
+        if (node.value === "favorite" || node.value === "fav") {
+          return context.isFavorite(conv.id);
+        }
+        if (node.value === "branched") return (conv.branchCount || 0) > 0;
+        return false;
+      case "messages":
+        return compareNumber(conv.messageCount || 0, node.op, node.value);
+      case "before":
+        return (conv.create_time || 0) < node.value;
+      case "after":
+        return (conv.create_time || 0) >= node.value;
+      default:
+        return true;
+    }
+  };
+
+  return (conv) => evaluate(ast, conv);
+}
+
+function isEmptyQuery(ast) {
+  return ast.type === "and" && ast.children.length === 0;
+}
+
+export {
+  parseQuery,
+  createQueryFilter,
+  collectTextTerms,
+  collectPositiveTerms,
+  collectRoles,
+  getConversationModels,
+  isEmptyQuery,
+};
@@ -0,0 +1,113 @@
+// 地址栏路由：把打开的对话、定位的消息和搜索状态写入 URL 的 hash
+// 格式：#/c/<对话ID>/m/<消息ID>?q=<查询>&sort=<排序>&model=<模型>
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+// 解析 hash，返回 { conversationId, messageId, query, sort, model }
+function parseRoute(hash) {
+  const text = hash.replace(/^#/, "");
+  const queryStart = text.indexOf("?");
+  const path = queryStart === -1 ? text : text.slice(0, queryStart);
+  const params = new URLSearchParams(
+    queryStart === -1 ? "" : text.slice(queryStart + 1)
+  );
+
+  const segments = path.split("/").filter(Boolean).map(decodeSegment);
+  const route = {
+    conversationId: null,
+    messageId: null,
+    query: params.get("q") || "",
+    sort: params.get("sort") || "",
+    model: params.get("model") || "",
+  };
+  if (segments[0] === "c" && segments[1]) {
+    route.conversationId = segments[1];
+    if (segments[2] === "m" && segments[3]) route.messageId = segments[3];
+  }
+  return route;
+}
+
+// 生成 hash，没有任何状态时返回空字符串
+function formatRoute(route) {
+  let path = "";
+  if (route.conversationId) {
+    path = `/c/${encodeURIComponent(route.conversationId)}`;
+    if (route.messageId) {
+      path += `/m/${encodeURIComponent(route.messageId)}`;
+    }
+  }
+
+  const params = new URLSearchParams();
+  if (route.query) params.set("q", route.query);
+  if (route.sort) params.set("sort", route.sort);
+  if (route.model) params.set("model", route.model);
+  const search = params.toString();
+
+  if (!path && !search) return "";
+  return `#${path || "/"}${search ? `?${search}` : ""}`;
+}
+
+class Router {
+  constructor() {
+    this.restoring = false;
+    this.pending = Promise.resolve();
+  }
+
+  // 当前地址对应的状态
+  current() {
+    return parseRoute(location.hash);
+  }
+
+  // 完整的链接地址
+  toUrl(route) {
+    const url = new URL(location.href);
+    url.hash = formatRoute(route);
+    return url.href;
+  }
+
+  // 写入新状态：打开对话会新增一条历史记录，修改查询等只替换当前记录
+  navigate(route, { replace = false } = {}) {
+    if (this.restoring) return;
+    const hash = formatRoute(route);
+    if (hash === location.hash) return;
+    const url = hash || location.pathname + location.search;
+    if (replace) {
+      history.replaceState(null, "", url);
+    } else {
+      history.pushState(null, "", url);
+    }
+  }
+
+  // 按当前地址恢复状态，期间界面的变化不再写回地址；多次调用依次执行
+  restore(apply) {
+    const run = this.pending.then(async () => {
+      this.restoring = true;
+      try {
+        await apply(this.current());
+      } finally {
+        this.restoring = false;
+      }
+    });
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  // 浏览器前进、后退或手动修改地址时恢复状态
+  listen(apply) {
+    window.addEventListener("popstate", () => {
+      this.restore(apply).catch((error) => {
+        console.error("恢复页面状态失败:", error);
+      });
+    });
+  }
+}
+
+const router = new Router();
+
+export { router, parseRoute, formatRoute };
@@ -0,0 +1,160 @@
+// HTML 白名单过滤：Markdown 渲染结果只保留允许的标签和属性
+// 对话数据可能来自他人分享或被篡改的文件，消息中的 HTML 不能执行脚本
+
+// 允许的标签及其属性
+const ALLOWED_TAGS = {
+  a: ["href", "title"],
+  abbr: ["title"],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: ["class"],
+  del: [],
+  details: ["open"],
+  div: [],
+  em: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ["src", "alt", "title", "width", "height"],
+  input: ["type", "checked", "disabled"],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ["start"],
+  p: [],
+  pre: [],
+  s: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ["align", "colspan", "rowspan"],
+  th: ["align", "colspan", "rowspan"],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+// 连同内容一起删除的标签，其余不允许的标签只去掉标签、保留文字
+const DROP_TAGS = new Set([
+  "script",
+  "style",
+  "iframe",
+  "frame",
+  "frameset",
+  "object",
+  "embed",
+  "applet",
+  "template",
+  "noscript",
+  "textarea",
+  "select",
+  "button",
+  "form",
+  "svg",
+  "math",
+  "link",
+  "meta",
+  "base",
+  "head",
+  "title",
+]);
+
+// 链接只允许 http(s)、mailto 和页内/相对地址，图片额外允许内嵌的位图
+const SAFE_URL = /^(?:https?:|mailto:|[^:/?#]*(?:[/?#]|$))/i;
+const SAFE_IMAGE_DATA_URL = /^data:image\/(?:png|jpe?g|gif|webp);base64,/i;
+
+function isSafeUrl(url, { image = false } = {}) {
+  // 去掉浏览器会忽略的空白和控制字符，防止 "java\nscript:" 这样的写法
+  const value = url.replace(/[\u0000-\u0020\u007f]/g, "");
+  if (image && SAFE_IMAGE_DATA_URL.test(value)) return true;
+  return SAFE_URL.test(value);
+}
+
+function isAllowedTag(tag) {
+  return Object.hasOwn(ALLOWED_TAGS, tag);
+}
+
+function isAllowedAttribute(tag, name, value) {
+  if (!ALLOWED_TAGS[tag].includes(name)) return false;
+  switch (name) {
+    case "href":
+      return isSafeUrl(value);
+    case "src":
+      return isSafeUrl(value, { image: true });
+    case "class":
+      // 只保留代码块的语言标记
+      return /^language-[\w+#.-]+$/.test(value);
+    case "type":
+      return value === "checkbox";
+    default:
+      return true;
+  }
+}
+
+function sanitizeNode(node) {
+  Array.from(node.childNodes).forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    if (DROP_TAGS.has(tag)) {
+      child.remove();
+      return;
+    }
+
+    sanitizeNode(child);
+
+    if (!isAllowedTag(tag)) {
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+    // 只保留任务列表的复选框
+    if (tag === "input" && child.getAttribute("type") !== "checkbox") {
+      child.remove();
+      return;
+    }
+
+    Array.from(child.attributes).forEach(({ name, value }) => {
+      if (!isAllowedAttribute(tag, name, value)) child.removeAttribute(name);
+    });
+    if (tag === "a" && child.hasAttribute("href")) {
+      child.setAttribute("target", "_blank");
+      child.setAttribute("rel", "noopener noreferrer");
+    }
+  });
+}
+
+// 过滤 HTML 字符串，返回只包含白名单标签和属性的 HTML
+function sanitizeHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+// 转义文本中的 HTML 特殊字符，同时转义引号，结果也可以放在属性值中
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export { sanitizeHtml, escapeHtml };
@@ -0,0 +1,45 @@
+import chatDB from "./db.js";
+
+class SavedQueriesManager {
+  constructor() {
+    this.queries = new Map(); // id -> { id, name, query, timestamp }
+  }
+
+  // 初始化保存的查询
+  async init() {
+    const queries = await chatDB.getSavedQueries();
+    this.queries.clear();
+    for (const item of queries) {
+      this.queries.set(item.id, item);
+    }
+  }
+
+  // 保存查询
+  async save(name, query) {
+    const id = await chatDB.addSavedQuery(name, query);
+    const item = { id, name, query, timestamp: Date.now() };
+    this.queries.set(id, item);
+    return item;
+  }
+
+  // 删除查询
+  async remove(id) {
+    await chatDB.removeSavedQuery(id);
+    this.queries.delete(id);
+  }
+
+  get(id) {
+    return this.queries.get(id);
+  }
+
+  // 获取所有查询，按名称排序
+  getAll() {
+    return Array.from(this.queries.values()).sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+}
+
+const savedQueriesManager = new SavedQueriesManager();
+
+export { savedQueriesManager };
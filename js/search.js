@@ -0,0 +1,260 @@
+// 全文搜索：倒排索引持久化在 IndexedDB，命中后在内存中逐条校验
+import chatDB from "./db.js";
+
+const CJK_CHAR =
+  "\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}";
+const CJK_PATTERN = new RegExp(`[${CJK_CHAR}]`, "u");
+const TOKEN_PATTERN = new RegExp(
+  `[${CJK_CHAR}]+|(?:(?![${CJK_CHAR}])[\\p{L}\\p{N}_])+`,
+  "gu"
+);
+
+// 拉丁单词至少这么长才按前缀匹配，更短的只匹配完整的词，避免展开过多的词
+const MIN_PREFIX_LENGTH = 2;
+
+// 每次搜索最多读取完整消息校验的对话数，按相关度从高到低选取
+const VERIFY_LIMIT = 300;
+
+// 标题命中的额外得分
+const TITLE_BONUS = 5;
+
+function normalize(text) {
+  return (text || "").normalize("NFKC").toLowerCase();
+}
+
+// 分词：拉丁字母和数字按单词切分，中日韩文字按单字和二元组切分
+function tokenize(text) {
+  const tokens = [];
+  for (const [run] of normalize(text).matchAll(TOKEN_PATTERN)) {
+    if (!CJK_PATTERN.test(run)) {
+      tokens.push(run);
+      continue;
+    }
+    const chars = Array.from(run);
+    chars.forEach((char, i) => {
+      tokens.push(char);
+      if (i + 1 < chars.length) tokens.push(char + chars[i + 1]);
+    });
+  }
+  return tokens;
+}
+
+// 查询分词：中日韩文字用二元组（只有一个字时用单字），拉丁单词按前缀匹配
+function tokenizeQuery(text) {
+  const tokens = [];
+  for (const [run] of text.matchAll(TOKEN_PATTERN)) {
+    if (!CJK_PATTERN.test(run)) {
+      const prefix = Array.from(run).length >= MIN_PREFIX_LENGTH;
+      tokens.push({ token: run, prefix });
+      continue;
+    }
+    const chars = Array.from(run);
+    if (chars.length === 1) {
+      tokens.push({ token: run, prefix: false });
+      continue;
+    }
+    for (let i = 0; i + 1 < chars.length; i++) {
+      tokens.push({ token: chars[i] + chars[i + 1], prefix: false });
+    }
+  }
+  return tokens;
+}
+
+// 构建倒排索引：词 -> [[对话ID, 词频], ...]
+// 传入 index 时把这批对话追加到已有索引中，用于分批导入
+function buildSearchIndex(conversations, index = new Map()) {
+  conversations.forEach((conv) => {
+    const counts = new Map();
+    const texts = [
+      conv.title || "",
+      ...(conv.messages || []).map((msg) => msg.content || ""),
+    ];
+    texts.forEach((text) => {
+      tokenize(text).forEach((token) => {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      });
+    });
+
+    counts.forEach((count, token) => {
+      if (!index.has(token)) index.set(token, []);
+      index.get(token).push([conv.id, count]);
+    });
+  });
+
+  return index;
+}
+
+// 在对话中校验所有词，返回命中的消息和摘要
+// roles 不为空时只在这些角色的消息中匹配
+function matchConversation(conv, terms, roles) {
+  const title = normalize(conv.title);
+  const messageIds = [];
+  const matchedTerms = new Set();
+  let snippet = null;
+
+  (conv.messages || []).forEach((msg) => {
+    if (roles.length > 0 && !roles.includes(msg.role)) return;
+    const content = normalize(msg.content);
+    let matched = false;
+    terms.forEach((term) => {
+      const pos = content.indexOf(term.text);
+      if (pos === -1) return;
+      matched = true;
+      matchedTerms.add(term.text);
+      if (!snippet) snippet = createSnippet(content, pos, term.text.length);
+    });
+    if (matched) messageIds.push(msg.id);
+  });
+
+  terms.forEach((term) => {
+    if (title.includes(term.text)) matchedTerms.add(term.text);
+  });
+
+  if (terms.some((term) => !matchedTerms.has(term.text))) return null;
+  return { messageIds, snippet };
+}
+
+// 截取命中位置前后的文字作为摘要
+function createSnippet(content, pos, length, radius = 40) {
+  const start = Math.max(0, pos - radius);
+  const end = Math.min(content.length, pos + length + radius);
+  return (
+    (start > 0 ? "…" : "") +
+    content.slice(start, end).replace(/\s+/g, " ") +
+    (end < content.length ? "…" : "")
+  );
+}
+
+// 索引命中是否足以说明对话包含所有关键词：索引由标题和消息内容建立，
+// 关键词只有一个索引词时，命中的词就以关键词开头或与之相同
+function isExactMatch(terms, roles) {
+  if (roles.length > 0) return false;
+  return terms.every((term) => {
+    const tokens = tokenizeQuery(term.text);
+    return tokens.length === 1 && tokens[0].token === term.text;
+  });
+}
+
+class SearchEngine {
+  constructor() {
+    this.cache = new Map(); // 查询词 -> Map(对话ID -> 词频)
+  }
+
+  // 导入数据后重建索引
+  async rebuild(conversations) {
+    const index = buildSearchIndex(conversations);
+    await chatDB.saveSearchIndex(index);
+    this.cache.clear();
+    console.log(`搜索索引已建立，共 ${index.size} 个词`);
+  }
+
+  // 旧数据没有索引时补建，只在需要时读取完整对话
+  async ensureIndex() {
+    const count = await chatDB.countSearchIndex();
+    if (count > 0) return;
+    const conversations = await chatDB.getAllConversations();
+    if (conversations.length > 0) {
+      await this.rebuild(conversations);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  // 查询单个词的倒排列表，前缀匹配时合并所有以它开头的词
+  async lookup({ token, prefix }) {
+    const key = `${prefix ? "^" : "="}${token}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const entries = prefix
+      ? await chatDB.getSearchIndexByPrefix(token)
+      : [await chatDB.getSearchIndexEntry(token)].filter(Boolean);
+
+    const postings = new Map();
+    entries.forEach((entry) => {
+      entry.postings.forEach(([id, count]) => {
+        postings.set(id, (postings.get(id) || 0) + count);
+      });
+    });
+    this.cache.set(key, postings);
+    return postings;
+  }
+
+  // 搜索同时包含所有词的对话，返回按相关度排序的 [{ conversation, score, messageIds, snippet }]
+  // conversations 可以是对话摘要，校验时只读取相关度最高的一批候选对话的完整消息
+  async search(searchTerms, conversations, roles = []) {
+    const terms = searchTerms
+      .map((term) => ({ ...term, text: normalize(term.text).trim() }))
+      .filter((term) => term.text);
+    if (terms.length === 0) return [];
+
+    const total = conversations.length || 1;
+    const scores = new Map();
+    let candidates = null;
+
+    for (const term of terms) {
+      for (const queryToken of tokenizeQuery(term.text)) {
+        const postings = await this.lookup(queryToken);
+        const idf = Math.log(1 + total / (postings.size || 1));
+        postings.forEach((count, id) => {
+          scores.set(id, (scores.get(id) || 0) + (1 + Math.log(count)) * idf);
+        });
+        candidates = candidates
+          ? new Set([...candidates].filter((id) => postings.has(id)))
+          : new Set(postings.keys());
+        if (candidates.size === 0) return [];
+      }
+    }
+
+    // 查询里没有可索引的字符（如纯标点）时不逐条读取全部对话
+    if (!candidates) return [];
+
+    const titleBonus = (conv) => {
+      const title = normalize(conv.title);
+      return terms.filter((term) => title.includes(term.text)).length;
+    };
+    const ranked = conversations
+      .filter((conv) => candidates.has(conv.id))
+      .map((conv) => ({
+        conversation: conv,
+        score: scores.get(conv.id) + titleBonus(conv) * TITLE_BONUS,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const pool = ranked.slice(0, VERIFY_LIMIT);
+    const bodies = new Map(
+      (
+        await chatDB.getConversations(
+          pool.map(({ conversation }) => conversation.id)
+        )
+      ).map((conv) => [conv.id, conv])
+    );
+
+    const results = [];
+    pool.forEach((result) => {
+      const body = bodies.get(result.conversation.id);
+      const match = body && matchConversation(body, terms, roles);
+      if (match) results.push({ ...result, ...match });
+    });
+
+    // 其余候选只在索引命中就能确定包含关键词时保留（每个关键词正好是一个
+    // 索引词且不限角色），没有读取消息，因此不带摘要
+    if (ranked.length > VERIFY_LIMIT && isExactMatch(terms, roles)) {
+      ranked.slice(VERIFY_LIMIT).forEach((result) => {
+        results.push({ ...result, messageIds: [], snippet: null });
+      });
+    }
+    return results;
+  }
+
+  // 匹配单个关键词，返回 Map(对话ID -> 搜索结果)
+  async matchTerm(term, conversations, roles = []) {
+    const results = await this.search([term], conversations, roles);
+    return new Map(results.map((result) => [result.conversation.id, result]));
+  }
+}
+
+const searchEngine = new SearchEngine();
+
+export { searchEngine, tokenize, buildSearchIndex };
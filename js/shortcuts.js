@@ -0,0 +1,45 @@
+// 键盘快捷键：按键名（小写字母、"/"、"Enter"、"Escape" 等）对应处理函数
+// 带 Ctrl 或 ⌘ 的组合写作 "mod+k"；在输入框中打字时只响应 Esc 和组合键
+
+const shortcuts = new Map();
+
+// 注册快捷键：handler(event) 返回 false 时表示未处理，按键保留默认行为
+function registerShortcuts(handlers) {
+  Object.entries(handlers).forEach(([key, handler]) => {
+    shortcuts.set(key, handler);
+  });
+}
+
+function getShortcutKey(event) {
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  return event.ctrlKey || event.metaKey ? `mod+${key}` : key;
+}
+
+function isTyping(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+// 打开的对话框中只响应 Esc 和组合键，避免在背后的列表中移动
+function isDialogOpen() {
+  return document.querySelector(".dialog-overlay:not(.hidden)") !== null;
+}
+
+function setupShortcuts() {
+  document.addEventListener("keydown", (event) => {
+    if (event.altKey || event.isComposing) return;
+    const key = getShortcutKey(event);
+    const handler = shortcuts.get(key);
+    if (!handler) return;
+
+    const plain = key !== "Escape" && !key.startsWith("mod+");
+    if (plain && (isTyping(event.target) || isDialogOpen())) return;
+
+    if (handler(event) !== false) event.preventDefault();
+  });
+}
+
+export { registerShortcuts, setupShortcuts };
@@ -1,23 +1,149 @@
 // UI 渲染和交互管理
 import chatDB from "./db.js";
-import { favoritesManager } from "./favorites.js";
+import {
+  favoritesManager,
+  FAVORITE_COLORS,
+  parseTags,
+} from "./favorites.js";
+import {
+  extractBranchMessages,
+  getBranchPath,
+  selectBranchNode,
+  buildBranchTree,
+  countBranches,
+  getMessageStats,
+} from "./parser.js";
+import { searchEngine } from "./search.js";
+import {
+  parseQuery,
+  createQueryFilter,
+  collectTextTerms,
+  collectPositiveTerms,
+  collectRoles,
+  isEmptyQuery,
+  getConversationModels,
+} from "./query.js";
+import { savedQueriesManager } from "./saved-queries.js";
+import { TrendChart } from "./chart.js";
+import { renderCalendarHeatmap, renderHourMatrix } from "./heatmap.js";
+import { analyzeConversations } from "./analytics.js";
+import { bookmarksManager } from "./bookmarks.js";
+import { VirtualList } from "./virtual-list.js";
+import {
+  renderCodeBlock,
+  enhanceCodeBlocks,
+  getCodeText,
+} from "./code-blocks.js";
+import { extractMath, restoreMath } from "./math.js";
+import { sanitizeHtml, escapeHtml } from "./sanitize.js";
+import { registerActions } from "./actions.js";
+import { router } from "./router.js";
 
 // 配置marked.js
 if (typeof marked !== "undefined") {
   marked.setOptions({
     breaks: true,
     gfm: true,
-    sanitize: false,
     smartLists: true,
     smartypants: true,
   });
 }
 
 // 工具函数
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// 转义文本并用 <mark> 标出命中的词
+function highlightText(text, terms) {
+  const ranges = findMatchRanges(text, terms);
+  if (ranges.length === 0) return escapeHtml(text);
+
+  let html = "";
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    html += escapeHtml(text.slice(last, start));
+    html += `<mark class="search-hit">${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// 查找所有命中区间（不区分大小写，按位置排序且互不重叠）
+function findMatchRanges(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let pos = lower.indexOf(term);
+    while (term && pos !== -1) {
+      ranges.push([pos, pos + term.length]);
+      pos = lower.indexOf(term, pos + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  ranges.forEach((range) => {
+    const prev = merged[merged.length - 1];
+    if (prev && range[0] < prev[1]) {
+      prev[1] = Math.max(prev[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+  return merged;
+}
+
+// 不参与搜索的文本：公式（含 MathML 副本）、按钮和块标签
+const SEARCH_SKIP_SELECTOR = ".katex, button, .block-label, .code-block-header";
+
+// root 中参与搜索的文本节点
+function getSearchableTextNodes(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!node.parentElement?.closest(SEARCH_SKIP_SELECTOR)) {
+      textNodes.push(node);
+    }
+  }
+  return textNodes;
+}
+
+// 消息的纯文本，渲染前用来估计命中数
+function getMessageText(msg) {
+  if (!msg.blocks) return msg.content || "";
+  return msg.blocks.map((block) => block.text || "").join("\n");
+}
+
+// 在 root 的文本中用 <mark> 标出命中的词，返回所有 mark 元素
+function markSearchTerms(root, terms) {
+  const marks = [];
+  getSearchableTextNodes(root).forEach((node) => {
+    const ranges = findMatchRanges(node.data, terms);
+    if (ranges.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+      fragment.appendChild(
+        document.createTextNode(node.data.slice(last, start))
+      );
+      const mark = document.createElement("mark");
+      mark.className = "search-hit";
+      mark.textContent = node.data.slice(start, end);
+      fragment.appendChild(mark);
+      marks.push(mark);
+      last = end;
+    });
+    fragment.appendChild(document.createTextNode(node.data.slice(last)));
+    node.replaceWith(fragment);
+  });
+  return marks;
 }
 
 function escapeUserMessageHeadingsAndLists(text) {
@@ -28,10 +154,15 @@ function escapeUserMessageHeadingsAndLists(text) {
     .replace(/^(---+|===+)$/gm, '\u200B$1');
 }
 
+// 公式在 Markdown 解析前取出、解析后渲染，代码块解析后再高亮
+// 消息中的 HTML 先经过白名单过滤；公式只填入过滤后的文本节点，
+// 代码块内容由 highlight.js 转义后重新生成
 function renderMarkdown(text) {
   if (typeof marked !== "undefined") {
     try {
-      return marked.parse(text.replace(/\n\s*\n/g, "\n\n"));
+      const { text: source, formulas } = extractMath(text);
+      const html = marked.parse(source.replace(/\n\s*\n/g, "\n\n"));
+      return enhanceCodeBlocks(restoreMath(sanitizeHtml(html), formulas));
     } catch (error) {
       console.warn("Markdown解析错误:", error);
       return escapeHtml(text);
@@ -40,6 +171,20 @@ function renderMarkdown(text) {
   return escapeHtml(text);
 }
 
+// 打开对话框并把焦点移到 focusTarget（默认第一个控件），关闭时还给打开前的元素
+function openDialog(dialog, focusTarget) {
+  dialog.returnFocus = document.activeElement;
+  dialog.classList.remove("hidden");
+  (focusTarget || dialog.querySelector("input, select, textarea, button"))
+    ?.focus();
+}
+
+function closeDialog(dialog) {
+  dialog.classList.add("hidden");
+  if (dialog.returnFocus?.isConnected) dialog.returnFocus.focus();
+  dialog.returnFocus = null;
+}
+
 export function formatDate(timestamp) {
   if (!timestamp) return "未知时间";
   const date = new Date(timestamp * 1000);
@@ -52,20 +197,155 @@ export function formatDate(timestamp) {
   });
 }
 
-function formatDateOnly(date) {
-  return date.toLocaleString("zh-CN", {
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  }).replaceAll("/", "-");
+// 把附件和字体转换为 data URL，用于导出独立的 HTML 文件
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// root 中某个位置之前的文字长度
+function getTextOffset(root, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+// 把 root 中第 start~end 个字符包进高亮元素（可以跨多个文本节点）
+function wrapTextRange(root, start, end, createWrapper) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const parts = [];
+  let offset = 0;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const nodeStart = offset;
+    offset += node.data.length;
+    if (offset <= start) continue;
+    if (nodeStart >= end) break;
+    parts.push([
+      node,
+      Math.max(0, start - nodeStart),
+      Math.min(node.data.length, end - nodeStart),
+    ]);
+  }
+
+  parts.forEach(([node, from, to]) => {
+    if (from >= to) return;
+    const range = document.createRange();
+    range.setStart(node, from);
+    range.setEnd(node, to);
+    range.surroundContents(createWrapper());
+  });
+}
+
+// 秒数 -> "1小时5分" 这样的时长
+function formatDuration(seconds) {
+  if (!seconds) return "0秒";
+  if (seconds < 60) return `${Math.round(seconds)}秒`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}分`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours}小时${minutes % 60 ? `${minutes % 60}分` : ""}`;
+  }
+  const days = Math.floor(hours / 24);
+  return `${days}天${hours % 24 ? `${hours % 24}小时` : ""}`;
+}
+
+// 字节数 -> "12.3 MB" 这样的大小
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// 工具和系统消息属于辅助角色，可以整体隐藏
+const AUXILIARY_ROLES = ["tool", "system"];
+const AUXILIARY_ROLES_KEY = "chatgpt-viewer-show-auxiliary";
+
+// 对话列表中键盘选中的条目的 id，供 aria-activedescendant 引用
+const ACTIVE_OPTION_ID = "activeConversationOption";
+
+const ROLE_LABELS = {
+  user: "You",
+  assistant: "Agent",
+  tool: "Tool",
+  system: "System",
+};
+
+// 隐藏的对话只是不在列表中显示，数据仍保留在数据库中
+const HIDDEN_CONVERSATIONS_KEY = "chatgpt-viewer-hidden-conversations";
+
+function loadHiddenConversations() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(HIDDEN_CONVERSATIONS_KEY));
+    return new Set(Array.isArray(ids) ? ids : []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+function saveHiddenConversations(ids) {
+  try {
+    localStorage.setItem(
+      HIDDEN_CONVERSATIONS_KEY,
+      JSON.stringify(Array.from(ids))
+    );
+  } catch (error) {
+    console.warn("无法保存隐藏的对话:", error);
+  }
+}
+
+function loadAuxiliaryRolesSetting() {
+  try {
+    return localStorage.getItem(AUXILIARY_ROLES_KEY) !== "false";
+  } catch (error) {
+    return true;
+  }
 }
 
 // UI状态管理
 class UIManager {
   constructor() {
     this.currentConversation = null;
+    this.routeMessageId = null; // 地址栏中定位的消息
     this.filteredConversations = [];
     this.allConversations = [];
+    this.assetUrls = new Map(); // 附件ID -> blob URL
+    this.branchChoices = {}; // 父节点ID -> 选中的子节点序号
+    this.showBranchOutline = false;
+    this.showAuxiliaryRoles = loadAuxiliaryRolesSetting();
+    this.searchTerms = []; // 当前内容搜索的词，用于高亮
+    this.searchSnippets = new Map(); // 对话ID -> 搜索摘要
+    this.searchSeq = 0;
+    this.searchHits = [];
+    this.searchHitCounts = []; // 消息序号 -> 命中数
+    this.currentHit = -1;
+    this.modelStats = null;
+    this.modelStatsTab = "models";
+    this.modelFilter = ""; // 只显示用过该模型的对话
+    this.timeFilter = null; // { label, test(消息时间戳) }，来自图表点击
+    this.trendChart = null;
+    this.showAnalytics = false; // 对话详情中的统计面板
+    this.overallAnalytics = null; // 全部对话的统计，展开时才计算
+    this.favoriteFilter = { collectionId: "", tag: "" };
+    this.pendingSelection = null; // 等待高亮的选中文字
+    this.listedConversations = []; // 列表中当前显示的对话
+    this.selectedIds = new Set(); // 多选的对话ID
+    this.lastSelectedId = null; // Shift 连续选择的起点
+    this.activeConversationId = null; // 键盘 j/k 移动到的对话
+    this.hiddenIds = loadHiddenConversations();
+    this.showHidden = false;
   }
 
   // 更新统计数据
@@ -77,228 +357,1761 @@ class UIManager {
       stats.totalUserMessages;
     document.getElementById("assistantMessages").textContent =
       stats.totalAssistantMessages;
+    document.getElementById("toolMessages").textContent =
+      stats.totalToolMessages;
+    document.getElementById("systemMessages").textContent =
+      stats.totalSystemMessages;
+
+    // 数据变化后重新计算详细统计
+    this.overallAnalytics = null;
+    const panel = document.getElementById("overallAnalytics");
+    if (!panel.classList.contains("hidden")) {
+      this.renderOverallAnalytics();
+    }
+  }
+
+  // 展开/收起全部对话的详细统计
+  toggleOverallAnalytics() {
+    const panel = document.getElementById("overallAnalytics");
+    const show = panel.classList.contains("hidden");
+    panel.classList.toggle("hidden", !show);
+    document.getElementById("overallAnalyticsBtn").textContent = show
+      ? "收起详细统计"
+      : "详细统计";
+    if (show) this.renderOverallAnalytics();
+  }
+
+  // 详细统计需要消息正文，展开时才从数据库读取完整对话
+  async renderOverallAnalytics() {
+    const panel = document.getElementById("overallAnalytics");
+    if (!this.overallAnalytics) {
+      panel.innerHTML = `<p class="like-label">正在统计…</p>`;
+      const conversations = await chatDB.getAllConversations();
+      this.overallAnalytics = analyzeConversations(conversations);
+    }
+    panel.innerHTML = this.renderAnalytics(this.overallAnalytics);
+  }
+
+  // 渲染统计面板：各角色字数、回复长度与耗时、代码块和高频词
+  renderAnalytics(analytics) {
+    const rows = Object.entries(analytics.roles)
+      .filter(([, stats]) => stats.messages > 0)
+      .map(
+        ([role, stats]) => `
+        <tr>
+          <td>${ROLE_LABELS[role]}</td>
+          <td>${stats.messages.toLocaleString()}</td>
+          <td>${stats.characters.toLocaleString()}</td>
+          <td>${stats.words.toLocaleString()}</td>
+          <td>${stats.tokens.toLocaleString()}</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    const durationLabel =
+      analytics.conversations > 1
+        ? `平均对话时长 ${formatDuration(analytics.averageDuration)}`
+        : `对话时长 ${formatDuration(analytics.totalDuration)}`;
+
+    const terms = analytics.topTerms
+      .map(
+        ({ term, count }) =>
+          `<span class="analytics-term" title="${count} 次">${escapeHtml(
+            term
+          )}<small>${count}</small></span>`
+      )
+      .join("");
+
+    return `
+      <table class="analytics-table">
+        <thead>
+          <tr>
+            <th>角色</th><th>消息</th><th>字符</th><th>字/词</th><th>约 token</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="analytics-metrics">
+        <span>平均回复长度 ${Math.round(
+          analytics.averageResponseLength
+        ).toLocaleString()} 字符</span>
+        <span>回复耗时 平均 ${formatDuration(
+          analytics.averageLatency
+        )} · 中位 ${formatDuration(analytics.medianLatency)}</span>
+        <span>${durationLabel}</span>
+        <span>代码块 ${analytics.codeBlocks.toLocaleString()} 个</span>
+      </div>
+      ${terms ? `<div class="analytics-terms">${terms}</div>` : ""}
+    `;
+  }
+
+  // 渲染模型统计
+  renderModelStatistics(modelStats) {
+    this.modelStats = modelStats;
+    this.renderModelStatsTab();
+    this.renderModelFilter(modelStats.models);
+  }
+
+  showModelStatsTab(tab) {
+    this.modelStatsTab = tab;
+    document.querySelectorAll(".model-stats-tabs .btn").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.tab === tab);
+    });
+    this.renderModelStatsTab();
+  }
+
+  renderModelStatsTab() {
+    const container = document.getElementById("modelStats");
+    const groups = this.modelStats?.[this.modelStatsTab] || [];
+
+    if (groups.length === 0) {
+      container.innerHTML = '<div class="empty-state"><p>暂无数据</p></div>';
+      return;
+    }
+
+    const maxMessages = Math.max(...groups.map((group) => group.messages), 1);
+    const clickable = this.modelStatsTab === "models";
+
+    container.innerHTML = groups
+      .map((group) => {
+        const name = escapeHtml(group.key);
+        const canFilter = clickable && group.key !== "unknown";
+        const active =
+          canFilter && group.key.toLowerCase() === this.modelFilter;
+        return `
+        <div class="model-row ${canFilter ? "clickable" : ""} ${
+          active ? "active" : ""
+        }" ${
+          canFilter
+            ? `data-action="filterByModel" data-model="${escapeAttribute(
+                group.key
+              )}"`
+            : ""
+        }>
+          <div class="model-name">${group.key === "unknown" ? "未知" : name}</div>
+          <div class="model-bar">
+            <div style="width: ${(group.messages / maxMessages) * 100}%"></div>
+          </div>
+          <div class="model-numbers">
+            ${group.conversations.toLocaleString()} 对话 ·
+            ${group.messages.toLocaleString()} 消息 ·
+            ${group.characters.toLocaleString()} 字符
+          </div>
+        </div>
+      `;
+      })
+      .join("");
+  }
+
+  // 填充对话列表的模型筛选
+  renderModelFilter(models) {
+    const select = document.getElementById("modelFilter");
+    const options = models
+      .filter((group) => group.key !== "unknown")
+      .map(
+        (group) =>
+          `<option value="${escapeAttribute(
+            group.key.toLowerCase()
+          )}">${escapeHtml(group.key)}</option>`
+      )
+      .join("");
+    select.innerHTML = `<option value="">全部模型</option>${options}`;
+    select.value = this.modelFilter;
+  }
+
+  // 点击统计中的模型，切换模型筛选
+  filterByModel(model) {
+    const select = document.getElementById("modelFilter");
+    const value = model.toLowerCase();
+    select.value = this.modelFilter === value ? "" : value;
+    select.dispatchEvent(new Event("change"));
+  }
+
+  // 渲染对话列表，只渲染滚动到可见区域附近的条目
+  renderConversationList(conversations) {
+    // 不在列表中的对话取消选择，全选只作用于当前筛选结果
+    this.listedConversations = conversations;
+    const listedIds = new Set(conversations.map((conv) => conv.id));
+    this.selectedIds.forEach((id) => {
+      if (!listedIds.has(id)) this.selectedIds.delete(id);
+    });
+
+    // 键盘选中的对话不在新的列表中时取消
+    if (!listedIds.has(this.activeConversationId)) {
+      this.activeConversationId = null;
+    }
+
+    this.getConversationList().setItems(conversations, { scrollTop: 0 });
+    this.updateActiveDescendant();
+    this.updateSelectionToolbar();
+  }
+
+  // 在列表中上下移动键盘选中的对话，step 为 1 或 -1
+  moveActiveConversation(step) {
+    const conversations = this.listedConversations;
+    if (conversations.length === 0) return;
+
+    const currentId = this.activeConversationId ?? this.currentConversation?.id;
+    const index = conversations.findIndex((conv) => conv.id === currentId);
+    const next =
+      index === -1
+        ? step > 0
+          ? 0
+          : conversations.length - 1
+        : Math.min(Math.max(index + step, 0), conversations.length - 1);
+    this.setActiveConversation(conversations[next].id);
+
+    const container = document.getElementById("conversationList");
+    container.focus({ preventScroll: true });
+  }
+
+  // 标出键盘选中的对话并滚动到可见位置
+  setActiveConversation(id) {
+    this.activeConversationId = id;
+    const list = this.getConversationList();
+    const container = document.getElementById("conversationList");
+
+    document.querySelectorAll(".conversation-item.focused").forEach((item) => {
+      item.classList.remove("focused");
+      item.removeAttribute("id");
+    });
+    let element = list.getElement(id);
+    if (element) {
+      const box = element.getBoundingClientRect();
+      const view = container.getBoundingClientRect();
+      if (box.top < view.top || box.bottom > view.bottom) {
+        element.scrollIntoView({ block: "nearest" });
+      }
+    } else {
+      element = list.scrollToKey(id, { block: "center" });
+    }
+    if (element) {
+      element.classList.add("focused");
+      element.id = ACTIVE_OPTION_ID;
+    }
+    this.updateActiveDescendant();
+  }
+
+  // 屏幕阅读器通过 aria-activedescendant 读出键盘选中的对话
+  updateActiveDescendant() {
+    const container = document.getElementById("conversationList");
+    if (this.activeConversationId) {
+      container.setAttribute("aria-activedescendant", ACTIVE_OPTION_ID);
+    } else {
+      container.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  // 打开键盘选中的对话
+  openActiveConversation() {
+    if (!this.activeConversationId) return;
+    return this.selectConversation(this.activeConversationId);
+  }
+
+  // 收藏键盘选中的对话，没有时收藏当前打开的对话
+  toggleActiveFavorite() {
+    const id = this.activeConversationId ?? this.currentConversation?.id;
+    if (!id) return;
+    return this.toggleFavorite(id);
+  }
+
+  // 勾选或取消勾选键盘选中的对话，按住 Shift 时连同上一次勾选的一起
+  toggleActiveSelection(event) {
+    if (!this.activeConversationId) return;
+    this.toggleSelection(this.activeConversationId, event);
+  }
+
+  getConversationList() {
+    if (!this.conversationList) {
+      this.conversationList = new VirtualList(
+        document.getElementById("conversationList"),
+        {
+          renderItem: (conv) => this.renderConversationItem(conv),
+          getKey: (conv) => conv.id,
+          estimateHeight: 66,
+        }
+      );
+    }
+    return this.conversationList;
+  }
+
+  // 收藏、选择等状态变化后重新渲染可见的条目，保持滚动位置
+  refreshConversationItems() {
+    this.conversationList?.refresh();
+  }
+
+  // 条目中的复选框和收藏按钮只供鼠标使用，不进入无障碍树；
+  // 勾选状态由 aria-selected 表示，收藏状态写在标题后的隐藏文字中，
+  // 键盘用 x 勾选、f 收藏
+  renderConversationItem(conv) {
+    const isFav = favoritesManager.isFavorite(conv.id);
+    const favClass = isFav ? "active" : "";
+    const snippet = this.searchSnippets.get(conv.id);
+    const isSelected = this.selectedIds.has(conv.id);
+    const isCurrent = this.currentConversation?.id === conv.id;
+    const isFocused = this.activeConversationId === conv.id;
+    const stateClass = [
+      isCurrent ? "active" : "",
+      isFocused ? "focused" : "",
+      isSelected ? "selected" : "",
+      this.hiddenIds.has(conv.id) ? "is-hidden" : "",
+    ].join(" ");
+
+    return `
+        <div 
+          class="conversation-item ${stateClass}" 
+          role="option" aria-selected="${isSelected}"
+          aria-current="${isCurrent}"
+          ${isFocused ? `id="${ACTIVE_OPTION_ID}"` : ""}
+          data-action="selectConversation"
+          data-id="${escapeAttribute(conv.id)}">
+          <input type="checkbox" class="conversation-check" title="选择"
+            tabindex="-1" aria-hidden="true"
+            ${isSelected ? "checked" : ""}
+            data-action="toggleSelection"
+            data-id="${escapeAttribute(conv.id)}" />
+          <div class="conversation-info">
+            <div class="conversation-title">
+              ${escapeHtml(conv.title || "未命名对话")}
+              <span class="favorite-state visually-hidden">${
+                isFav ? "已收藏" : ""
+              }</span>
+            </div>
+            <div class="conversation-meta">
+              ${conv.messageCount} 条消息${
+      conv.branchCount ? ` | ${conv.branchCount} 处分支` : ""
+    } | 创建于 ${formatDate(conv.create_time)}
+            </div>
+            ${
+              snippet
+                ? `<div class="conversation-snippet">${highlightText(
+                    snippet,
+                    this.searchTerms
+                  )}</div>`
+                : ""
+            }
+          </div>
+
+            <button class="favorite-btn ${favClass}"
+                    data-action="toggleFavorite"
+                    data-id="${escapeAttribute(conv.id)}"
+                    title="${isFav ? "取消收藏" : "收藏"}"
+                    tabindex="-1" aria-hidden="true">
+              ${isFav ? "●" : "○"}
+            </button>
+
+        </div>
+      `;
+  }
+
+  // 勾选对话；按住 Shift 时连同上一次勾选的对话之间的全部选中或取消
+  toggleSelection(id, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    const checked =
+      event?.target?.type === "checkbox"
+        ? event.target.checked
+        : !this.selectedIds.has(id);
+
+    let ids = [id];
+    if (event?.shiftKey && this.lastSelectedId) {
+      const listedIds = this.listedConversations.map((conv) => conv.id);
+      const from = listedIds.indexOf(this.lastSelectedId);
+      const to = listedIds.indexOf(id);
+      if (from !== -1 && to !== -1) {
+        ids = listedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    }
+    ids.forEach((item) =>
+      checked ? this.selectedIds.add(item) : this.selectedIds.delete(item)
+    );
+    this.lastSelectedId = id;
+    this.updateSelectionMarks();
+  }
+
+  // 全选当前筛选出的对话
+  selectAll(checked) {
+    this.selectedIds.clear();
+    if (checked) {
+      this.listedConversations.forEach((conv) => this.selectedIds.add(conv.id));
+    }
+    this.lastSelectedId = null;
+    this.updateSelectionMarks();
+  }
+
+  clearSelection() {
+    this.selectAll(false);
+  }
+
+  // 选中的对话，按列表中的顺序
+  getSelectedConversations() {
+    return this.listedConversations.filter((conv) =>
+      this.selectedIds.has(conv.id)
+    );
+  }
+
+  updateSelectionMarks() {
+    document.querySelectorAll(".conversation-item").forEach((item) => {
+      const selected = this.selectedIds.has(item.dataset.id);
+      item.classList.toggle("selected", selected);
+      item.setAttribute("aria-selected", String(selected));
+      item.querySelector(".conversation-check").checked = selected;
+    });
+    this.updateSelectionToolbar();
+  }
+
+  updateSelectionToolbar() {
+    const count = this.selectedIds.size;
+    const total = this.listedConversations.length;
+    const selectAll = document.getElementById("selectAllConversations");
+    selectAll.checked = total > 0 && count === total;
+    selectAll.indeterminate = count > 0 && count < total;
+    document.getElementById("selectionCount").textContent =
+      count > 0 ? `已选 ${count} / ${total} 个` : `共 ${total} 个`;
+    document
+      .getElementById("selectionActions")
+      .classList.toggle("hidden", count === 0);
+    document
+      .getElementById("unhideSelectedBtn")
+      .classList.toggle("hidden", !this.showHidden);
+
+    const hiddenCount = this.allConversations.filter((conv) =>
+      this.hiddenIds.has(conv.id)
+    ).length;
+    const hiddenBtn = document.getElementById("showHiddenBtn");
+    hiddenBtn.classList.toggle("hidden", hiddenCount === 0 && !this.showHidden);
+    hiddenBtn.textContent = this.showHidden
+      ? "不显示已隐藏"
+      : `显示已隐藏（${hiddenCount}）`;
+  }
+
+  // 批量收藏或取消收藏
+  async favoriteSelected(favorite) {
+    for (const conv of this.getSelectedConversations()) {
+      const isFav = favoritesManager.isFavorite(conv.id);
+      if (favorite && !isFav) {
+        await favoritesManager.addFavorite(conv.id, conv);
+      } else if (!favorite && isFav) {
+        await favoritesManager.removeFavorite(conv.id);
+      }
+    }
+    this.refreshConversationItems();
+    await this.renderFavoritesList();
+  }
+
+  // 批量添加标签，标签保存在收藏中，未收藏的对话会先加入收藏
+  async tagSelected() {
+    const conversations = this.getSelectedConversations();
+    if (conversations.length === 0) return;
+    const input = prompt(
+      `为选中的 ${conversations.length} 个对话添加标签（用逗号或空格分隔）`
+    );
+    const tags = parseTags(input);
+    if (tags.length === 0) return;
+
+    for (const conv of conversations) {
+      if (!favoritesManager.isFavorite(conv.id)) {
+        await favoritesManager.addFavorite(conv.id, conv);
+      }
+      const fav = favoritesManager.getFavorite(conv.id);
+      await favoritesManager.updateFavorite(conv.id, {
+        tags: Array.from(new Set([...(fav.tags || []), ...tags])),
+      });
+    }
+    this.refreshConversationItems();
+    await this.renderFavoritesList();
+  }
+
+  // 批量隐藏或取消隐藏
+  async setSelectedHidden(hidden) {
+    this.getSelectedConversations().forEach((conv) =>
+      hidden ? this.hiddenIds.add(conv.id) : this.hiddenIds.delete(conv.id)
+    );
+    saveHiddenConversations(this.hiddenIds);
+    if (hidden && !this.showHidden) this.selectedIds.clear();
+    await this.refreshConversationList();
+  }
+
+  toggleShowHidden() {
+    this.showHidden = !this.showHidden;
+    return this.refreshConversationList();
+  }
+
+  // 选择对话，按住 Shift、Ctrl 或 ⌘ 点击时改为多选
+  async selectConversation(id, event) {
+    if (event) {
+      event.stopPropagation();
+      if (event.shiftKey || event.ctrlKey || event.metaKey) {
+        this.toggleSelection(id, event);
+        return;
+      }
+    }
+
+    // 从数据库加载完整对话数据
+    const conversation = await chatDB.getConversation(id);
+    if (!conversation) return;
+
+    this.currentConversation = conversation;
+    this.activeConversationId = id;
+    this.routeMessageId = null;
+    this.branchChoices = {};
+    this.showBranchOutline = false;
+
+    // 更新UI状态
+    document.querySelectorAll(".conversation-item").forEach((item) => {
+      const current = item.dataset.id === id;
+      item.classList.toggle("active", current);
+      item.setAttribute("aria-current", String(current));
+      item.classList.toggle("focused", current);
+      if (current) {
+        item.id = ACTIVE_OPTION_ID;
+      } else {
+        item.removeAttribute("id");
+      }
+    });
+    this.updateActiveDescendant();
+
+    this.displayConversation(conversation);
+    document.getElementById("generateBtn").style.display = "inline-block";
+    this.updateRoute();
+
+    // 从搜索结果打开时跳到第一处命中
+    if (this.searchHits.length > 0) {
+      this.nextSearchHit();
+    }
+  }
+
+  // 当前对话被删除后回到未选择的状态
+  closeConversation() {
+    this.currentConversation = null;
+    this.routeMessageId = null;
+    this.updateRoute({ replace: true });
+    document.getElementById("conversationTitle").textContent =
+      "选择一个对话查看详情";
+    document.getElementById("messagesToolbar").classList.add("hidden");
+    document.getElementById("conversationAnalytics").classList.add("hidden");
+    document.getElementById("messagesContainer").innerHTML = `
+      <div class="empty-state">
+        <p>点击对话列表中的任意对话查看详细内容</p>
+      </div>
+    `;
+    document.getElementById("generateBtn").style.display = "none";
+  }
+
+  // 显示对话详情
+  displayConversation(conversation) {
+    const title = document.getElementById("conversationTitle");
+    const container = document.getElementById("messagesContainer");
+
+    title.textContent = conversation.title;
+    this.updateMessagesToolbar(conversation);
+
+    const analyticsPanel = document.getElementById("conversationAnalytics");
+    analyticsPanel.classList.toggle(
+      "hidden",
+      !this.showAnalytics || this.showBranchOutline
+    );
+
+    if (this.showBranchOutline) {
+      container.innerHTML = this.renderBranchOutline(conversation);
+      container.scrollTop = 0;
+      this.highlightSearchHits(container);
+      return;
+    }
+
+    let messages = this.getBranchMessages(conversation);
+    if (this.showAnalytics) {
+      analyticsPanel.innerHTML = this.renderAnalytics(
+        analyzeConversations([conversation], { messagesOf: () => messages })
+      );
+    }
+    if (!this.showAuxiliaryRoles) {
+      messages = messages.filter((msg) => !AUXILIARY_ROLES.includes(msg.role));
+    }
+
+    // 消息滚动到可见区域时才解析 Markdown，解析结果在本次显示中缓存
+    this.messageHtml = new Map();
+    this.countSearchHits(messages);
+    this.getMessageList().setItems(messages, { scrollTop: 0 });
+  }
+
+  // 有对话树时按当前分支选择提取，否则使用已解析的消息
+  getBranchMessages(conversation) {
+    return conversation.mapping
+      ? extractBranchMessages(conversation, this.branchChoices)
+      : conversation.messages || [];
+  }
+
+  // 当前分支中包含该节点的消息：连续同角色的消息合并后，
+  // 后面节点的ID记录在第一条消息的 mergedIds 中
+  findBranchMessage(conversation, nodeId) {
+    return (
+      this.getBranchMessages(conversation).find(
+        (msg) => msg.id === nodeId || msg.mergedIds?.includes(nodeId)
+      ) || null
+    );
+  }
+
+  getMessageList() {
+    if (!this.messageList) {
+      this.messageList = new VirtualList(
+        document.getElementById("messagesContainer"),
+        {
+          renderItem: (msg) => this.getMessageHtml(msg),
+          getKey: (msg) => msg.id,
+          estimateHeight: 120,
+          onRender: (elements, start) =>
+            this.onMessagesRendered(elements, start),
+        }
+      );
+      // 打印时需要完整的对话
+      window.addEventListener("beforeprint", () =>
+        this.messageList.setRenderAll(true)
+      );
+      window.addEventListener("afterprint", () =>
+        this.messageList.setRenderAll(false)
+      );
+    }
+    return this.messageList;
+  }
+
+  getMessageHtml(msg) {
+    if (!this.messageHtml.has(msg.id)) {
+      this.messageHtml.set(msg.id, this.renderMessage(msg));
+    }
+    return this.messageHtml.get(msg.id);
+  }
+
+  // 新渲染出的消息：填充附件、书签和搜索高亮
+  onMessagesRendered(elements, start) {
+    const current = this.searchHits[this.currentHit];
+    let countChanged = false;
+    elements.forEach((messageEl, i) => {
+      this.renderMessageBookmarks(messageEl);
+      const content = messageEl.querySelector(".message-content");
+      if (this.searchTerms.length === 0 || !content) return;
+      const marks = markSearchTerms(content, this.searchTerms);
+      if (this.syncSearchHitCount(start + i, marks.length)) {
+        countChanged = true;
+      }
+      if (current?.index === start + i) {
+        marks[Math.min(current.occurrence, marks.length - 1)]?.classList.add(
+          "current"
+        );
+      }
+    });
+    if (countChanged) this.updateSearchHitBar();
+    elements.forEach((messageEl) => this.hydrateAssets(messageEl));
+  }
+
+  // 先按消息纯文本统计命中，不必渲染全部消息；消息渲染后按实际标出的
+  // 数量修正。导航时先滚动到所在消息
+  countSearchHits(messages) {
+    this.searchHitCounts =
+      this.searchTerms.length > 0
+        ? messages.map(
+            (msg) =>
+              findMatchRanges(getMessageText(msg), this.searchTerms).length
+          )
+        : [];
+    this.currentHit = -1;
+    this.buildSearchHits();
+    this.updateSearchHitBar();
+  }
+
+  buildSearchHits() {
+    this.searchHits = [];
+    this.searchHitCounts.forEach((count, index) => {
+      for (let occurrence = 0; occurrence < count; occurrence++) {
+        this.searchHits.push({ index, occurrence });
+      }
+    });
+  }
+
+  // 用渲染后标出的数量修正某条消息的命中数，返回是否有变化；
+  // 当前命中留在同一条消息中，该消息没有命中时移到下一处
+  syncSearchHitCount(index, count) {
+    if (this.searchHitCounts[index] === undefined) return false;
+    if (this.searchHitCounts[index] === count) return false;
+    const current = this.searchHits[this.currentHit];
+    this.searchHitCounts[index] = count;
+    this.buildSearchHits();
+    if (current) {
+      const occurrence = Math.min(current.occurrence, count - 1);
+      const position = this.searchHits.findIndex(
+        (hit) =>
+          hit.index > current.index ||
+          (hit.index === current.index && hit.occurrence >= occurrence)
+      );
+      this.currentHit = position === -1 ? this.searchHits.length - 1 : position;
+    }
+    return true;
+  }
+
+  // 在分支大纲中高亮搜索词，并准备上一处/下一处导航
+  highlightSearchHits(container) {
+    this.searchHitCounts = [];
+    this.searchHits =
+      this.searchTerms.length > 0
+        ? markSearchTerms(container, this.searchTerms)
+        : [];
+    this.currentHit = -1;
+    this.updateSearchHitBar();
+  }
+
+  // 更新命中导航
+  updateSearchHitBar() {
+    const bar = document.getElementById("searchHitBar");
+    bar.classList.toggle("hidden", this.searchHits.length === 0);
+    document.getElementById("searchHitCount").textContent =
+      this.currentHit === -1
+        ? `共 ${this.searchHits.length} 处`
+        : `${this.currentHit + 1}/${this.searchHits.length}`;
+  }
+
+  // 跳转到下一处/上一处命中
+  goToSearchHit(step) {
+    if (this.searchHits.length === 0) return;
+
+    document
+      .querySelectorAll("#messagesContainer mark.search-hit.current")
+      .forEach((mark) => mark.classList.remove("current"));
+    const count = this.searchHits.length;
+    this.currentHit =
+      this.currentHit === -1 && step < 0
+        ? count - 1
+        : (this.currentHit + step + count) % count;
+
+    let hit = this.searchHits[this.currentHit];
+    let mark = this.findSearchHitMark(hit);
+    // 渲染后命中数被修正时，按修正后的位置再找
+    while (!mark && this.searchHits[this.currentHit] !== hit) {
+      hit = this.searchHits[this.currentHit];
+      mark = hit ? this.findSearchHitMark(hit) : null;
+    }
+    if (!mark) {
+      this.updateSearchHitBar();
+      return;
+    }
+    mark.classList.add("current");
+    // 命中在折叠的工具输出中时展开
+    const details = mark.closest("details");
+    if (details) details.open = true;
+    mark.scrollIntoView({ block: "center" });
+    this.updateSearchHitBar();
+  }
+
+  // 大纲中的命中直接是元素，消息中的命中需要先渲染所在消息
+  findSearchHitMark(hit) {
+    if (hit instanceof Element) return hit;
+    const msg = this.messageList.items[hit.index];
+    const messageEl = msg && this.messageList.scrollToKey(msg.id);
+    if (!messageEl) return null;
+    const marks = messageEl.querySelectorAll("mark.search-hit");
+    return marks[Math.min(hit.occurrence, marks.length - 1)] || null;
+  }
+
+  nextSearchHit() {
+    this.goToSearchHit(1);
+  }
+
+  prevSearchHit() {
+    this.goToSearchHit(-1);
+  }
+
+  // 更新消息工具栏
+  updateMessagesToolbar(conversation) {
+    document.getElementById("messagesToolbar").classList.remove("hidden");
+    document.getElementById("auxiliaryRolesBtn").textContent = this
+      .showAuxiliaryRoles
+      ? "隐藏工具/系统消息"
+      : "显示工具/系统消息";
+
+    document.getElementById("analyticsBtn").textContent = this.showAnalytics
+      ? "隐藏统计"
+      : "对话统计";
+
+    const branchCount = conversation.mapping ? countBranches(conversation) : 0;
+    document
+      .getElementById("branchControls")
+      .classList.toggle("hidden", branchCount === 0);
+    document.getElementById("branchSummary").textContent =
+      `${branchCount} 处重新生成或编辑`;
+    document.getElementById("branchOutlineBtn").textContent = this
+      .showBranchOutline
+      ? "返回对话"
+      : "分支树";
+  }
+
+  // 恢复备份后重新读取显示设置
+  reloadSettings() {
+    this.showAuxiliaryRoles = loadAuxiliaryRolesSetting();
+    this.hiddenIds = loadHiddenConversations();
+  }
+
+  // 显示/隐藏工具和系统消息
+  toggleAuxiliaryRoles() {
+    this.showAuxiliaryRoles = !this.showAuxiliaryRoles;
+    try {
+      localStorage.setItem(AUXILIARY_ROLES_KEY, this.showAuxiliaryRoles);
+    } catch (error) {
+      console.warn("无法保存显示设置:", error);
+    }
+    if (this.currentConversation) {
+      this.displayConversation(this.currentConversation);
+    }
+  }
+
+  // 显示/隐藏当前对话的统计面板
+  toggleConversationAnalytics() {
+    this.showAnalytics = !this.showAnalytics;
+    if (this.currentConversation) {
+      this.displayConversation(this.currentConversation);
+    }
+  }
+
+  // 切换到某个分叉的第 index 个分支
+  switchBranch(parentId, index, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    if (!this.currentConversation) return;
+
+    const container = document.getElementById("messagesContainer");
+    const scrollTop = container.scrollTop;
+    this.branchChoices[parentId] = index;
+    this.displayConversation(this.currentConversation);
+    container.scrollTop = scrollTop;
+  }
+
+  // 复制代码块的内容（不含行号）
+  async copyCode(button) {
+    const codeBlock = button.closest(".code-block");
+    try {
+      await navigator.clipboard.writeText(getCodeText(codeBlock));
+      button.textContent = "已复制";
+    } catch (error) {
+      console.error("复制失败:", error);
+      button.textContent = "复制失败";
+    }
+    setTimeout(() => {
+      button.textContent = "复制";
+    }, 1500);
+  }
+
+  // 展开/收起过长的代码块
+  toggleCodeBlock(button) {
+    const codeBlock = button.closest(".code-block");
+    const collapsed = codeBlock.classList.toggle("collapsed");
+    const lines = codeBlock.querySelectorAll(".code-line").length;
+    button.textContent = collapsed ? `展开全部 ${lines} 行` : "收起";
+  }
+
+  // 切换分支大纲视图
+  toggleBranchOutline() {
+    if (!this.currentConversation) return;
+    this.showBranchOutline = !this.showBranchOutline;
+    this.displayConversation(this.currentConversation);
+  }
+
+  // 从分支大纲跳转到指定消息
+  openBranchNode(nodeId) {
+    const target = this.goToMessage(nodeId);
+    if (target) {
+      target.scrollIntoView({ block: "center" });
+    }
+  }
+
+  // 渲染分支切换器
+  renderBranchSwitcher(branches) {
+    if (!branches) return "";
+
+    return branches
+      .map(
+        (branch) => `
+        <div class="branch-switcher">
+          <button data-action="switchBranch"
+            data-parent-id="${escapeAttribute(branch.parentId)}"
+            data-index="${branch.index - 1}"
+            ${branch.index === 0 ? "disabled" : ""}>‹</button>
+          <span>${branch.index + 1}/${branch.total}</span>
+          <button data-action="switchBranch"
+            data-parent-id="${escapeAttribute(branch.parentId)}"
+            data-index="${branch.index + 1}"
+            ${branch.index === branch.total - 1 ? "disabled" : ""}>›</button>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  // 渲染完整对话树大纲，单链部分平铺，只在分叉处嵌套
+  renderBranchOutline(conversation) {
+    const tree = buildBranchTree(conversation);
+    if (!tree) {
+      return '<div class="empty-state"><p>没有可显示的分支</p></div>';
+    }
+
+    const activeIds = new Set(
+      getBranchPath(conversation, this.branchChoices).map((step) => step.id)
+    );
+    return `<ol class="branch-outline">${this.renderBranchChain(
+      tree,
+      activeIds
+    )}</ol>`;
+  }
+
+  renderBranchChain(node, activeIds) {
+    const items = [];
+    let current = node;
+
+    while (current) {
+      if (current.message) {
+        items.push(this.renderOutlineItem(current, activeIds));
+      }
+
+      if (current.children.length === 1) {
+        current = current.children[0];
+        continue;
+      }
+
+      if (current.children.length > 1) {
+        const total = current.children.length;
+        const branches = current.children
+          .map((child, i) => {
+            const active = activeIds.has(child.id);
+            return `
+            <li class="outline-branch ${active ? "active" : ""}">
+              <details ${active ? "open" : ""}>
+                <summary>分支 ${i + 1}/${total}</summary>
+                <ol class="branch-outline">${this.renderBranchChain(
+                  child,
+                  activeIds
+                )}</ol>
+              </details>
+            </li>
+          `;
+          })
+          .join("");
+        items.push(`<li><ol class="outline-branches">${branches}</ol></li>`);
+      }
+      current = null;
+    }
+
+    return items.join("");
+  }
+
+  renderOutlineItem(node, activeIds) {
+    const msg = node.message;
+    const roleLabel = ROLE_LABELS[msg.role] || msg.role;
+    const snippet = msg.content
+      ? escapeHtml(msg.content.slice(0, 80))
+      : "[附件]";
+    const activeClass = activeIds.has(node.id) ? "active" : "";
+
+    return `
+      <li class="outline-item ${msg.role} ${activeClass}"
+          data-action="openBranchNode" data-id="${escapeAttribute(node.id)}">
+        <span class="outline-role">${roleLabel}</span> ${snippet}
+      </li>
+    `;
+  }
+
+  // 显示消息的书签状态、文字高亮和备注
+  renderMessageBookmarks(messageEl) {
+    const content = messageEl.querySelector(".message-content");
+    if (!content) return;
+
+    // 先移除旧的高亮和备注
+    content.querySelectorAll("mark.bookmark-highlight").forEach((mark) => {
+      mark.replaceWith(...mark.childNodes);
+    });
+    content.normalize();
+    messageEl.querySelector(".message-bookmarks")?.remove();
+
+    const bookmarks = bookmarksManager.getForMessage(
+      messageEl.dataset.messageId
+    );
+    messageEl.classList.toggle(
+      "bookmarked",
+      bookmarks.some((bookmark) => !bookmark.text)
+    );
+
+    bookmarks
+      .filter((bookmark) => bookmark.text)
+      .forEach((bookmark) => {
+        // 位置对不上时（例如渲染方式变化）按文字重新查找
+        const text = content.textContent;
+        let { start, end } = bookmark;
+        if (text.slice(start, end) !== bookmark.text) {
+          start = text.indexOf(bookmark.text);
+          if (start === -1) return;
+          end = start + bookmark.text.length;
+        }
+        wrapTextRange(content, start, end, () => {
+          const mark = document.createElement("mark");
+          mark.className = "bookmark-highlight";
+          mark.dataset.bookmarkId = bookmark.id;
+          mark.title = bookmark.comment || "高亮";
+          return mark;
+        });
+      });
+
+    const notes = bookmarks.filter((bookmark) => bookmark.comment);
+    if (notes.length > 0) {
+      const container = document.createElement("div");
+      container.className = "message-bookmarks";
+      container.innerHTML = notes
+        .map(
+          (bookmark) => `
+          <div class="bookmark-note">
+            🔖 ${
+              bookmark.text ? `<q>${escapeHtml(bookmark.text)}</q> ` : ""
+            }${escapeHtml(bookmark.comment)}
+          </div>
+        `
+        )
+        .join("");
+      content.after(container);
+    }
+  }
+
+  // 书签需要记录的对话和消息信息
+  getBookmarkContext(messageEl) {
+    const content = messageEl.querySelector(".message-content");
+    return {
+      conversationId: this.currentConversation.id,
+      conversationTitle: this.currentConversation.title,
+      messageId: messageEl.dataset.messageId,
+      role: messageEl.dataset.role,
+      excerpt: content.textContent.trim().replace(/\s+/g, " ").slice(0, 120),
+    };
+  }
+
+  // 已渲染的消息元素，消息不在可见区域附近时为 null
+  findMessageElement(messageId) {
+    return document.querySelector(
+      `#messagesContainer .message[data-message-id="${CSS.escape(messageId)}"]`
+    );
+  }
+
+  // 滚动到消息并确保它已渲染
+  revealMessage(messageId) {
+    if (this.showBranchOutline || !this.messageList?.isAttached()) {
+      return null;
+    }
+    return this.messageList.scrollToKey(messageId, { block: "center" });
+  }
+
+  // 在当前对话中定位消息并写入地址栏，返回消息元素
+  // messageId 可以是任一节点的ID；消息被隐藏或不在当前分支时先切换显示，
+  // 角色按处理后的消息判断（如发给工具的助手消息属于工具消息）
+  goToMessage(messageId) {
+    const conversation = this.currentConversation;
+    if (!conversation) return null;
+
+    let message = this.findBranchMessage(conversation, messageId);
+    let redisplay = this.showBranchOutline;
+    if (!message && conversation.mapping?.[messageId]) {
+      this.branchChoices = selectBranchNode(
+        conversation,
+        messageId,
+        this.branchChoices
+      );
+      message = this.findBranchMessage(conversation, messageId);
+      redisplay = true;
+    }
+    if (!message) return null;
+
+    this.showBranchOutline = false;
+    if (AUXILIARY_ROLES.includes(message.role) && !this.showAuxiliaryRoles) {
+      this.toggleAuxiliaryRoles();
+    } else if (redisplay) {
+      this.displayConversation(conversation);
+    }
+    const target = this.revealMessage(message.id);
+    if (!target) return null;
+
+    this.routeMessageId = messageId;
+    this.updateRoute({ replace: true });
+    return target;
+  }
+
+  // 当前对话、消息和搜索条件对应的地址栏状态
+  getRouteState() {
+    const sortSelect = document.getElementById("sortSelect");
+    return {
+      conversationId: this.currentConversation?.id,
+      messageId: this.routeMessageId,
+      query: document.getElementById("searchBox").value.trim(),
+      // 默认排序不写入地址
+      sort: sortSelect.selectedIndex > 0 ? sortSelect.value : "",
+      model: this.modelFilter,
+    };
+  }
+
+  // 把当前状态写入地址栏，replace 为 false 时新增一条历史记录
+  updateRoute({ replace = false } = {}) {
+    router.navigate(this.getRouteState(), { replace });
+  }
+
+  // 复制指向这条消息的链接，导入了同一份数据的人打开后会直接定位到这条消息
+  async copyMessageLink(messageId, button) {
+    this.routeMessageId = messageId;
+    this.updateRoute({ replace: true });
+    try {
+      await navigator.clipboard.writeText(router.toUrl(this.getRouteState()));
+      button.textContent = "✓";
+    } catch (error) {
+      console.error("复制失败:", error);
+      button.textContent = "✗";
+    }
+    setTimeout(() => {
+      button.textContent = "🔗";
+    }, 1500);
+  }
+
+  // 收藏/取消收藏整条消息
+  async toggleMessageBookmark(messageId, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    const messageEl = this.findMessageElement(messageId);
+    if (!messageEl || !this.currentConversation) return;
+
+    const existing = bookmarksManager.getMessageBookmark(messageId);
+    if (existing) {
+      await bookmarksManager.remove(existing.id);
+    } else {
+      const comment = prompt("为这条消息添加备注（可留空）", "");
+      if (comment === null) return;
+      await bookmarksManager.add({
+        ...this.getBookmarkContext(messageEl),
+        comment: comment.trim(),
+      });
+    }
+
+    this.renderMessageBookmarks(messageEl);
+    this.renderBookmarksList();
+  }
+
+  // 在消息中选中文字后显示「高亮」按钮
+  updateHighlightButton() {
+    const button = document.getElementById("highlightSelectionBtn");
+    const selection = window.getSelection();
+    const range =
+      selection.rangeCount > 0 && !selection.isCollapsed
+        ? selection.getRangeAt(0)
+        : null;
+    const ancestor = range?.commonAncestorContainer;
+    const element =
+      ancestor?.nodeType === Node.TEXT_NODE ? ancestor.parentElement : ancestor;
+    const content = element?.closest("#messagesContainer .message-content");
+
+    if (!content || !range.toString().trim()) {
+      button.classList.add("hidden");
+      this.pendingSelection = null;
+      return;
+    }
+
+    const text = range.toString();
+    const start = getTextOffset(
+      content,
+      range.startContainer,
+      range.startOffset
+    );
+    this.pendingSelection = {
+      messageEl: content.closest(".message"),
+      text,
+      start,
+      end: start + text.length,
+    };
+
+    const rect = range.getBoundingClientRect();
+    button.style.top = `${rect.top + window.scrollY - 40}px`;
+    button.style.left = `${rect.left + window.scrollX + rect.width / 2}px`;
+    button.classList.remove("hidden");
   }
 
-  // 渲染对话列表
-  renderConversationList(conversations) {
-    const container = document.getElementById("conversationList");
+  // 高亮选中的文字
+  async highlightSelection() {
+    const selection = this.pendingSelection;
+    document.getElementById("highlightSelectionBtn").classList.add("hidden");
+    this.pendingSelection = null;
+    if (!selection || !this.currentConversation) return;
 
-    const html = conversations
-      .map((conv) => {
-        const isFav = favoritesManager.isFavorite(conv.id);
-        const favClass = isFav ? "active" : "";
+    const comment = prompt("为这段文字添加备注（可留空）", "");
+    if (comment === null) return;
 
-        return `
-        <div 
-          class="conversation-item" 
-          onclick="uiManager.selectConversation('${conv.id}', event)" 
-          data-id="${conv.id}">
-          <div class="conversation-info">
-            <div class="conversation-title">
-              ${escapeHtml(conv.title || "未命名对话")}
-            </div>
-            <div class="conversation-meta">
-              ${conv.messageCount} 条消息 | 创建于 ${formatDate(
-          conv.create_time
-        )}
-            </div>
-          </div>
+    await bookmarksManager.add({
+      ...this.getBookmarkContext(selection.messageEl),
+      text: selection.text,
+      start: selection.start,
+      end: selection.end,
+      comment: comment.trim(),
+    });
+    window.getSelection().removeAllRanges();
 
-            <button class="favorite-btn ${favClass}" 
-                    onclick="uiManager.toggleFavorite('${conv.id}', event)"
-                    title="${isFav ? "取消收藏" : "收藏"}">
-              ${isFav ? "●" : "○"}
-            </button>
+    this.renderMessageBookmarks(selection.messageEl);
+    this.renderBookmarksList();
+  }
 
+  // 渲染所有对话的消息书签
+  renderBookmarksList() {
+    const container = document.getElementById("bookmarksList");
+    const bookmarks = bookmarksManager.getAll();
+    document.getElementById("bookmarksCount").textContent =
+      bookmarks.length || "";
+
+    if (bookmarks.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <p>还没有书签，点击消息下方的 🔖 或选中文字后高亮</p>
         </div>
       `;
-      })
-      .join("");
+      return;
+    }
 
-    container.innerHTML = html;
+    const loaded = new Set(this.allConversations.map((conv) => conv.id));
+    container.innerHTML = bookmarks
+      .map(
+        (bookmark) => `
+        <div class="bookmark-item ${
+          loaded.has(bookmark.conversationId) ? "" : "unavailable"
+        }" data-action="openBookmark" data-id="${bookmark.id}">
+          <div class="favorite-title">
+            ${escapeHtml(bookmark.conversationTitle)}
+            <span class="like-label">${ROLE_LABELS[bookmark.role] || ""}</span>
+          </div>
+          <div class="bookmark-quote ${bookmark.text ? "highlight" : ""}">
+            ${escapeHtml(bookmark.text || bookmark.excerpt)}
+          </div>
+          ${
+            bookmark.comment
+              ? `<div class="favorite-note">${escapeHtml(
+                  bookmark.comment
+                )}</div>`
+              : ""
+          }
+          <div class="favorite-time">
+            ${formatDate(bookmark.timestamp / 1000)}
+            <button class="favorite-edit-btn"
+              data-action="editBookmark" data-id="${bookmark.id}"
+              >备注</button>
+            <button class="favorite-edit-btn"
+              data-action="removeBookmark" data-id="${bookmark.id}"
+              >删除</button>
+          </div>
+        </div>
+      `
+      )
+      .join("");
   }
 
-  // 选择对话
-  async selectConversation(id, event) {
-    if (event) {
-      event.stopPropagation();
-    }
-
-    // 从数据库加载完整对话数据
-    const conversation = await chatDB.getConversation(id);
-    if (!conversation) return;
+  // 打开书签所在的对话并跳到对应消息
+  async openBookmark(id) {
+    const bookmark = bookmarksManager.get(id);
+    if (!bookmark) return;
 
-    this.currentConversation = conversation;
+    if (this.currentConversation?.id !== bookmark.conversationId) {
+      await this.selectConversation(bookmark.conversationId);
+    }
+    if (this.currentConversation?.id !== bookmark.conversationId) return;
 
-    // 更新UI状态
-    document.querySelectorAll(".conversation-item").forEach((item) => {
-      item.classList.remove("active");
-    });
+    const target = this.goToMessage(bookmark.messageId);
+    if (!target) return;
 
-    const selectedItem = document.querySelector(
-      `.conversation-item[data-id="${id}"]`
+    const mark = target.querySelector(
+      `mark.bookmark-highlight[data-bookmark-id="${CSS.escape(String(id))}"]`
     );
-    if (selectedItem) {
-      selectedItem.classList.add("active");
-    }
-
-    this.displayConversation(conversation);
-    document.getElementById("generateBtn").style.display = "inline-block";
+    (mark || target).scrollIntoView({ block: "center" });
+    target.classList.add("flash");
+    setTimeout(() => target.classList.remove("flash"), 1500);
   }
 
-  // 显示对话详情
-  displayConversation(conversation) {
-    const title = document.getElementById("conversationTitle");
-    const container = document.getElementById("messagesContainer");
-
-    title.textContent = conversation.title;
-    const messages = conversation.messages || [];
+  async editBookmark(id, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    const bookmark = bookmarksManager.get(id);
+    if (!bookmark) return;
+    const comment = prompt("修改备注", bookmark.comment);
+    if (comment === null) return;
+    await bookmarksManager.update(id, { comment: comment.trim() });
+    this.refreshBookmark(bookmark);
+  }
 
-    const html = messages.map((msg) => this.renderMessage(msg)).join("");
+  async removeBookmark(id, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    const bookmark = bookmarksManager.get(id);
+    if (!bookmark) return;
+    await bookmarksManager.remove(id);
+    this.refreshBookmark(bookmark);
+  }
 
-    container.innerHTML = html;
-    container.scrollTop = 0;
+  // 书签变化后更新列表和正在显示的消息
+  refreshBookmark(bookmark) {
+    this.renderBookmarksList();
+    const messageEl = this.findMessageElement(bookmark.messageId);
+    if (messageEl && this.currentConversation?.id === bookmark.conversationId) {
+      this.renderMessageBookmarks(messageEl);
+    }
   }
 
   // 渲染单条消息
   renderMessage(msg) {
     const roleClass = msg.role;
     // const displayName = msg.role === "user" ? "You" : "Agent";
-    const contentHtml = msg.role === "user" ? renderMarkdown(escapeUserMessageHeadingsAndLists(msg.content)) : renderMarkdown(msg.content);
+    const contentHtml = msg.blocks
+      ? msg.blocks.map((block) => this.renderBlock(block, msg.role)).join("")
+      : this.renderText(msg.content, msg.role);
+
+    const feedbackHtml = msg.feedback
+      ? `<span class="message-feedback">${
+          msg.feedback === "thumbsDown" ? "👎" : "👍"
+        }</span>`
+      : "";
 
     return `
-      <div class="message ${roleClass}" data-message-id="${msg.id}">
+      <div class="message ${roleClass}" role="article"
+        aria-label="${ROLE_LABELS[msg.role] || msg.role}"
+        data-message-id="${escapeAttribute(msg.id)}" data-role="${msg.role}">
+        ${this.renderBranchSwitcher(msg.branches)}
+        ${
+          AUXILIARY_ROLES.includes(msg.role)
+            ? `<div class="message-author">${ROLE_LABELS[msg.role]}</div>`
+            : ""
+        }
         <div class="message-content">${contentHtml}</div>
+        ${this.renderAttachments(msg.attachments)}
         <div class="message-time">
-          ${formatDate(msg.createTime)}
+          ${formatDate(msg.createTime)} ${feedbackHtml}
+          <button class="message-bookmark-btn" title="收藏这条消息"
+            aria-label="收藏这条消息"
+            data-action="toggleMessageBookmark"
+            data-id="${escapeAttribute(msg.id)}"
+            >🔖</button>
+          <button class="message-link-btn" title="复制这条消息的链接"
+            aria-label="复制这条消息的链接"
+            data-action="copyMessageLink"
+            data-id="${escapeAttribute(msg.id)}"
+            >🔗</button>
         </div>
       </div>
     `;
   }
   // <div class="message-author">${displayName}</div>
 
-  // 渲染每日趋势图
-  renderDailyTrendChart(dailyData) {
-    const container = document.getElementById("dailyTrendChart");
-    container.innerHTML = "";
+  // 渲染文本，用户消息不解析标题和列表
+  renderText(text, role) {
+    return role === "user"
+      ? renderMarkdown(escapeUserMessageHeadingsAndLists(text))
+      : renderMarkdown(text);
+  }
 
-    // 生成最近 20 天的日期（包含今天）
-    const dates = [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+  // 按类型渲染单个消息块
+  renderBlock(block, role) {
+    switch (block.type) {
+      case "text":
+        return this.renderText(block.text, role);
 
-    for (let i = 19; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      dates.push(date);
+      case "code":
+        return `
+          <div class="block block-code">
+            <div class="block-label">代码 · ${escapeHtml(block.language)}</div>
+            ${renderCodeBlock(block.text, block.language || "")}
+          </div>
+        `;
+
+      case "tool_call":
+        return `
+          <div class="block block-tool-call">
+            <div class="block-label">调用工具 · ${escapeHtml(block.name)}</div>
+            <pre><code>${escapeHtml(block.text)}</code></pre>
+          </div>
+        `;
+
+      case "execution":
+        return `
+          <div class="block block-execution">
+            <div class="block-label">运行结果</div>
+            <pre><code>${escapeHtml(block.text)}</code></pre>
+          </div>
+        `;
+
+      case "tool_output":
+        return `
+          <details class="block block-tool-output">
+            <summary class="block-label">工具输出 · ${escapeHtml(
+              block.name
+            )}</summary>
+            <pre><code>${escapeHtml(block.text)}</code></pre>
+          </details>
+        `;
+
+      case "image":
+        return `
+          <figure class="block block-image">
+            <img class="attachment-image" data-asset-id="${escapeHtml(
+              block.id
+            )}" alt="${escapeAttribute(block.prompt || block.id)}" />
+            ${
+              block.prompt
+                ? `<figcaption>${escapeHtml(block.prompt)}</figcaption>`
+                : ""
+            }
+          </figure>
+        `;
+
+      case "audio":
+        return `<audio class="attachment-audio" data-asset-id="${escapeHtml(
+          block.id
+        )}" controls></audio>`;
+
+      case "citation":
+        return `
+          <div class="block block-citation">
+            <div class="block-label">引用来源</div>
+            <ol>${block.sources
+              .map((source) => this.renderCitationSource(source))
+              .join("")}</ol>
+          </div>
+        `;
+
+      default:
+        return "";
     }
+  }
 
-    // 转换为 Map: "YYYY-MM-DD" -> count
-    const dataMap = new Map();
-    dailyData.forEach((item) => {
-      dataMap.set(item.date, item.count);
-    });
+  renderCitationSource(source) {
+    const title = escapeHtml(source.title);
+    // 只允许 http(s) 链接
+    if (!/^https?:\/\//i.test(source.url)) {
+      return `<li>${title}</li>`;
+    }
+    return `
+      <li>
+        <a href="${escapeAttribute(
+          source.url
+        )}" target="_blank" rel="noopener noreferrer">${title}</a>
+        ${
+          source.snippet
+            ? `<div class="citation-snippet">${escapeHtml(source.snippet)}</div>`
+            : ""
+        }
+      </li>
+    `;
+  }
 
-    // 构建完整数据：补 0
-    const fullData = dates.map((date) => {
-      const dateStr = formatDateOnly(date);
-      return {
-        date: dateStr,
-        count: dataMap.get(dateStr) || 0,
-      };
-    });
+  // 渲染消息附件，内容在 hydrateAssets 中异步加载
+  renderAttachments(attachments) {
+    if (!attachments || attachments.length === 0) return "";
+
+    const html = attachments
+      .map((item) => {
+        const name = escapeHtml(item.name);
+        if (item.type === "image") {
+          return `<img class="attachment-image" data-asset-id="${escapeHtml(item.id)}" alt="${name}" />`;
+        }
+        if (item.type === "audio") {
+          return `<audio class="attachment-audio" data-asset-id="${escapeHtml(item.id)}" controls></audio>`;
+        }
+        return `<a class="attachment-file" data-asset-id="${escapeHtml(item.id)}" download="${name}">${name}</a>`;
+      })
+      .join("");
 
-    const maxCount = Math.max(...fullData.map((d) => d.count), 1);
-    const chartInner = document.createElement("div");
-    chartInner.className = "chart-inner";
+    return `<div class="message-attachments">${html}</div>`;
+  }
 
-    const tooltip = document.createElement("div");
-    tooltip.className = "tooltip";
-    chartInner.appendChild(tooltip);
+  // 从数据库读取附件并生成 blob URL
+  async getAssetUrl(id) {
+    if (this.assetUrls.has(id)) return this.assetUrls.get(id);
+    const asset = await chatDB.getAsset(id);
+    const url = asset ? URL.createObjectURL(asset.blob) : null;
+    this.assetUrls.set(id, url);
+    return url;
+  }
 
-    const hideTooltip = (e) => {
-      if (!chartInner.contains(e.target)) {
-        tooltip.style.opacity = 0;
+  // 为已渲染的附件填充内容
+  async hydrateAssets(container) {
+    const elements = container.querySelectorAll("[data-asset-id]");
+    for (const el of elements) {
+      const url = await this.getAssetUrl(el.dataset.assetId);
+      if (!url) {
+        const missing = document.createElement("span");
+        missing.className = "attachment-missing";
+        missing.textContent = "附件未包含在导出数据中";
+        el.replaceWith(missing);
+      } else if (el.tagName === "A") {
+        el.href = url;
+      } else {
+        el.src = url;
       }
-    };
-    this._globalClickHandler = hideTooltip;
-    document.addEventListener("click", hideTooltip);
-
-    fullData.forEach((item) => {
-      const bar = document.createElement("div");
-      bar.className = "chart-bar";
-      bar.style.height = `${(item.count / maxCount) * 100}%`;
-      bar.title = `${item.date}: ${item.count} 条`;
-      bar.style.flex = "1 1 0";
-
-      bar.addEventListener("click", (e) => {
-        e.stopPropagation(); // 阻止冒泡
-        tooltip.textContent = `${item.date}: ${item.count} 条`;
-        tooltip.style.opacity = 0.9;
-      });
+    }
+  }
 
-      chartInner.appendChild(bar);
-    });
+  // 释放附件占用的 blob URL
+  releaseAssets() {
+    this.assetUrls.forEach((url) => url && URL.revokeObjectURL(url));
+    this.assetUrls.clear();
+  }
 
-    container.appendChild(chartInner);
-
-    // 在 chartInner 前插入标签容器
-    const labels = document.createElement("div");
-    labels.className = "chart-labels";
-    fullData.forEach((item, i) => {
-      if (i % 2 === 0 || fullData.length <= 10) {
-        // 避免太挤
-        const label = document.createElement("div");
-        label.textContent = item.date.slice(5).replace("-", "/"); // MM/DD
-        label.style.flex = "1 1 0";
-        label.style.fontSize = "7px";
-        labels.appendChild(label);
-      }
-    });
-    container.appendChild(labels);
-
-    // 点击外部隐藏 tooltip
-    document.addEventListener(
-      "click",
-      (e) => {
-        if (!chartInner.contains(e.target)) {
-          tooltip.style.opacity = 0;
+  // 渲染消息趋势图，点击柱子按该时间段筛选对话
+  renderDailyTrendChart(dailyData) {
+    if (!this.trendChart) {
+      this.trendChart = new TrendChart(
+        document.getElementById("dailyTrendChart"),
+        document.getElementById("dailyTrendControls"),
+        {
+          onSelectPeriod: (start, end, label) =>
+            this.setTimeFilter(label, (time) => time >= start && time < end),
         }
-      },
-      { once: true }
+      );
+    }
+    this.trendChart.setData(dailyData);
+  }
+
+  // 渲染日历热力图和星期 × 小时矩阵，点击格子筛选对话
+  renderActivityHeatmaps(dailyData, hourlyMatrix) {
+    renderCalendarHeatmap(
+      document.getElementById("calendarHeatmap"),
+      dailyData,
+      {
+        onSelectDay: (label, start, end) =>
+          this.setTimeFilter(label, (time) => time >= start && time < end),
+      }
     );
+    renderHourMatrix(document.getElementById("hourMatrix"), hourlyMatrix, {
+      onSelectCell: (weekday, hour, label) =>
+        this.setTimeFilter(label, (time) => {
+          const date = new Date(time * 1000);
+          return (date.getDay() + 6) % 7 === weekday && date.getHours() === hour;
+        }),
+    });
   }
 
-  // 渲染收藏列表
+  // 渲染收藏列表（按收藏夹和标签筛选）
   async renderFavoritesList() {
+    this.renderFavoriteFilters();
+
     const container = document.getElementById("favoritesList");
-    const favorites = await favoritesManager.getAllFavorites();
+    const favorites = await favoritesManager.getAllFavorites(
+      this.favoriteFilter
+    );
+    const total = favoritesManager.getCount();
+    document.getElementById("favoritesCount").textContent =
+      favorites.length === total ? total : `${favorites.length}/${total}`;
 
     if (favorites.length === 0) {
-      document.getElementById("favoritesCount").textContent = 0;
       container.innerHTML = '<div class="empty-state"><p>暂无收藏</p></div>';
       return;
     }
 
     const html = favorites
       .map((fav) => {
+        const collection = favoritesManager.getCollection(fav.collectionId);
+        const tags = (fav.tags || [])
+          .map(
+            (tag) => `
+            <span class="favorite-tag" data-tag="${escapeAttribute(tag)}"
+              data-action="filterFavoritesByTag"
+              >#${escapeHtml(tag)}</span>`
+          )
+          .join("");
         return `
-        <div class="favorite-item" onclick="uiManager.selectConversation('${
-          fav.conversationId
-        }')">
+        <div class="favorite-item ${fav.available ? "" : "unavailable"}"
+          style="--favorite-color: ${escapeAttribute(
+            fav.color || "transparent"
+          )}"
+          data-action="openFavorite"
+          data-id="${escapeAttribute(fav.conversationId)}"
+          title="${fav.available ? "" : "对话数据未导入"}">
           <div class="favorite-title">${escapeHtml(
             fav.title || "未命名对话"
           )}</div>
-          <div class="favorite-time">${formatDate(fav.timestamp / 1000)}</div>
+          ${
+            collection || tags
+              ? `<div class="favorite-meta">${
+                  collection
+                    ? `<span class="favorite-collection">${escapeHtml(
+                        collection.name
+                      )}</span>`
+                    : ""
+                }${tags}</div>`
+              : ""
+          }
+          ${
+            fav.note
+              ? `<div class="favorite-note">${escapeHtml(fav.note)}</div>`
+              : ""
+          }
+          <div class="favorite-time">
+            ${formatDate(fav.timestamp / 1000)}
+            <button class="favorite-edit-btn" data-action="editFavorite"
+              data-id="${escapeAttribute(fav.conversationId)}">编辑</button>
+          </div>
         </div>
       `;
       })
       .join("");
 
     container.innerHTML = html;
+  }
+
+  // 更新收藏夹和标签筛选下拉框
+  renderFavoriteFilters() {
+    const { collectionId, tag } = this.favoriteFilter;
+    const collectionSelect = document.getElementById(
+      "favoriteCollectionFilter"
+    );
+    collectionSelect.innerHTML = [
+      '<option value="">全部收藏夹</option>',
+      '<option value="none">未分组</option>',
+      ...favoritesManager
+        .getCollections()
+        .map(
+          (item) =>
+            `<option value="${item.id}">${escapeHtml(item.name)}</option>`
+        ),
+    ].join("");
+    collectionSelect.value = collectionId;
+
+    const tagSelect = document.getElementById("favoriteTagFilter");
+    tagSelect.innerHTML = [
+      '<option value="">全部标签</option>',
+      ...favoritesManager
+        .getAllTags()
+        .map(
+          (item) =>
+            `<option value="${escapeAttribute(item)}">#${escapeHtml(
+              item
+            )}</option>`
+        ),
+    ].join("");
+    tagSelect.value = tag;
+
+    // 选中的收藏夹或标签已不存在时回到全部
+    this.favoriteFilter = {
+      collectionId: collectionSelect.value,
+      tag: tagSelect.value,
+    };
+    document
+      .getElementById("deleteCollectionBtn")
+      .classList.toggle(
+        "hidden",
+        !this.favoriteFilter.collectionId ||
+          this.favoriteFilter.collectionId === "none"
+      );
+  }
+
+  filterFavorites() {
+    this.favoriteFilter = {
+      collectionId: document.getElementById("favoriteCollectionFilter").value,
+      tag: document.getElementById("favoriteTagFilter").value,
+    };
+    this.renderFavoritesList();
+  }
+
+  filterFavoritesByTag(tag, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    this.favoriteFilter = { ...this.favoriteFilter, tag };
+    this.renderFavoritesList();
+  }
+
+  // 新建收藏夹
+  async createCollection() {
+    const name = prompt("收藏夹名称");
+    if (!name || !name.trim()) return;
+    const collection = await favoritesManager.saveCollection({
+      name: name.trim(),
+      timestamp: Date.now(),
+    });
+    this.favoriteFilter = { collectionId: String(collection.id), tag: "" };
+    await this.renderFavoritesList();
+  }
+
+  // 删除当前筛选的收藏夹，其中的收藏移到未分组
+  async deleteCollection() {
+    const id = Number(this.favoriteFilter.collectionId);
+    const collection = favoritesManager.getCollection(id);
+    if (!collection) return;
+    const message = `删除收藏夹「${collection.name}」？其中的收藏会移到未分组。`;
+    if (!confirm(message)) return;
+    await favoritesManager.removeCollection(id);
+    this.favoriteFilter = { ...this.favoriteFilter, collectionId: "" };
+    await this.renderFavoritesList();
+  }
+
+  // 编辑收藏的收藏夹、标签、备注和颜色
+  editFavorite(conversationId, event) {
+    if (event) {
+      event.stopPropagation();
+    }
+    const fav = favoritesManager.getFavorite(conversationId);
+    if (!fav) return;
+
+    const dialog = document.getElementById("favoriteDialog");
+    const collectionSelect = document.getElementById("favoriteCollection");
+    const tagsInput = document.getElementById("favoriteTags");
+    const noteInput = document.getElementById("favoriteNote");
+    const colors = document.getElementById("favoriteColors");
+    let color = fav.color || "";
 
-    // 更新收藏统计
-    document.getElementById("favoritesCount").textContent = favorites.length;
+    document.getElementById("favoriteDialogTitle").textContent = fav.title;
+    collectionSelect.innerHTML = [
+      '<option value="">未分组</option>',
+      ...favoritesManager
+        .getCollections()
+        .map(
+          (item) =>
+            `<option value="${item.id}">${escapeHtml(item.name)}</option>`
+        ),
+    ].join("");
+    collectionSelect.value = fav.collectionId || "";
+    tagsInput.value = (fav.tags || []).join(", ");
+    noteInput.value = fav.note || "";
+
+    const renderColors = () => {
+      colors.innerHTML = FAVORITE_COLORS.map(
+        (value) => `
+        <button type="button" class="color-option ${
+          value === color ? "active" : ""
+        }" data-color="${value}" style="--favorite-color: ${
+          value || "transparent"
+        }" title="${value ? value : "无颜色"}"></button>
+      `
+      ).join("");
+    };
+    renderColors();
+    colors.onclick = (e) => {
+      const option = e.target.closest(".color-option");
+      if (!option) return;
+      color = option.dataset.color;
+      renderColors();
+    };
+
+    const close = () => closeDialog(dialog);
+    document.getElementById("favoriteCancelBtn").onclick = close;
+    document.getElementById("favoriteSaveBtn").onclick = async () => {
+      await favoritesManager.updateFavorite(conversationId, {
+        collectionId: collectionSelect.value
+          ? Number(collectionSelect.value)
+          : null,
+        tags: parseTags(tagsInput.value),
+        note: noteInput.value.trim(),
+        color,
+      });
+      close();
+      await this.renderFavoritesList();
+    };
+
+    openDialog(dialog, tagsInput);
   }
 
   // 切换收藏状态
@@ -317,10 +2130,14 @@ class UIManager {
     );
 
     // 更新按钮状态
-    const btn = document.querySelector(
-      `.conversation-item[data-id="${conversationId}"] .favorite-btn`
+    const item = document.querySelector(
+      `.conversation-item[data-id="${CSS.escape(conversationId)}"]`
     );
+    const btn = item?.querySelector(".favorite-btn");
     if (btn) {
+      item.querySelector(".favorite-state").textContent = isFavorited
+        ? "已收藏"
+        : "";
       if (isFavorited) {
         btn.classList.add("active");
         btn.textContent = "●";
@@ -336,78 +2153,348 @@ class UIManager {
     await this.renderFavoritesList();
   }
 
-  // 筛选对话
-  filterConversationsByTitle(searchTerm, sortBy) {
-    // 搜索过滤
-    this.filteredConversations = this.allConversations.filter((conv) => {
-      const titleMatch = (conv.title || "")
-        .toLowerCase()
-        .includes(searchTerm.toLowerCase());
-      return titleMatch;
-    });
+  // 清除搜索的高亮和摘要
+  clearSearchState() {
+    this.searchSeq++;
+    this.searchTerms = [];
+    this.searchSnippets.clear();
+  }
 
-    // 排序
-    switch (sortBy) {
-      case "latest":
-        this.filteredConversations.sort(
-          (a, b) => (b.create_time || 0) - (a.create_time || 0)
-        );
-        break;
-      case "oldest":
-        this.filteredConversations.sort(
-          (a, b) => (a.create_time || 0) - (b.create_time || 0)
-        );
-        break;
-      case "messages":
-        this.filteredConversations.sort(
-          (a, b) => b.messageCount - a.messageCount
-        );
-        break;
-      case "title":
-        this.filteredConversations.sort((a, b) =>
-          (a.title || "").localeCompare(b.title || "")
-        );
-        break;
+  // 按查询语句筛选并排序对话
+  async applyQuery(query, sortBy) {
+    const seq = ++this.searchSeq;
+    this.updateRoute({ replace: true });
+    const ast = parseQuery(query);
+
+    // 先按模型和时间段筛选
+    const conversations = this.applyBaseFilters(this.allConversations);
+
+    if (isEmptyQuery(ast)) {
+      this.searchTerms = [];
+      this.searchSnippets.clear();
+      this.filteredConversations = [...conversations];
+      this.sortConversations(this.filteredConversations, sortBy);
+      this.renderConversationList(this.filteredConversations);
+      return;
     }
 
+    // 关键词使用倒排索引匹配，输入过快时丢弃过期的结果
+    const roles = collectRoles(ast);
+    const textMatches = new Map();
+    for (const term of collectTextTerms(ast)) {
+      textMatches.set(
+        term.text,
+        await searchEngine.matchTerm(term, conversations, roles)
+      );
+    }
+    if (seq !== this.searchSeq) return;
+
+    const filter = createQueryFilter(ast, {
+      textMatches,
+      isFavorite: (id) => favoritesManager.isFavorite(id),
+    });
+    this.filteredConversations = conversations.filter(filter);
+
+    // 相关度和摘要只来自未被 NOT 的关键词
+    this.searchTerms = collectPositiveTerms(ast);
+    this.searchSnippets = new Map();
+    const scores = new Map();
+    this.filteredConversations.forEach((conv) => {
+      let score = 0;
+      this.searchTerms.forEach((term) => {
+        const match = textMatches.get(term)?.get(conv.id);
+        if (!match) return;
+        score += match.score;
+        if (match.snippet && !this.searchSnippets.has(conv.id)) {
+          this.searchSnippets.set(conv.id, match.snippet);
+        }
+      });
+      scores.set(conv.id, score);
+    });
+
+    this.sortConversations(this.filteredConversations, sortBy, scores);
     this.renderConversationList(this.filteredConversations);
   }
 
-  filterConversationsByContent(searchTerm, sortBy) {
-    // 搜索过滤
-    this.filteredConversations = this.allConversations.filter((conv) => {
-      const contentMatch = conv.messages?.some((msg) =>
-        msg.content.toLowerCase().includes(searchTerm.toLowerCase())
+  // 隐藏的对话、模型筛选和图表选中的时间段
+  applyBaseFilters(conversations) {
+    let result = conversations;
+    if (!this.showHidden) {
+      result = result.filter((conv) => !this.hiddenIds.has(conv.id));
+    }
+    if (this.modelFilter) {
+      result = result.filter((conv) =>
+        getConversationModels(conv).has(this.modelFilter)
+      );
+    }
+    if (this.timeFilter) {
+      result = result.filter((conv) =>
+        getMessageStats(conv).some(
+          (msg) => msg.createTime && this.timeFilter.test(msg.createTime)
+        )
       );
+    }
+    return result;
+  }
 
-      return contentMatch;
-    });
+  // 按搜索框和排序的当前值重新筛选列表
+  refreshConversationList() {
+    return this.applyQuery(
+      document.getElementById("searchBox").value,
+      document.getElementById("sortSelect").value
+    );
+  }
+
+  // 只显示在某个时间段内有消息的对话
+  setTimeFilter(label, test) {
+    this.timeFilter = { label, test };
+    document.getElementById("timeFilterLabel").textContent = label;
+    document.getElementById("timeFilter").classList.remove("hidden");
+    this.refreshConversationList();
+  }
+
+  clearTimeFilter() {
+    this.timeFilter = null;
+    document.getElementById("timeFilter").classList.add("hidden");
+    this.refreshConversationList();
+  }
 
-    // 排序
+  // 排序（按相关度时需要 scores：对话ID -> 得分）
+  sortConversations(conversations, sortBy, scores = null) {
     switch (sortBy) {
-      case "latest":
-        this.filteredConversations.sort(
-          (a, b) => (b.create_time || 0) - (a.create_time || 0)
-        );
-        break;
       case "oldest":
-        this.filteredConversations.sort(
+        conversations.sort(
           (a, b) => (a.create_time || 0) - (b.create_time || 0)
         );
         break;
       case "messages":
-        this.filteredConversations.sort(
-          (a, b) => b.messageCount - a.messageCount
-        );
+        conversations.sort((a, b) => b.messageCount - a.messageCount);
         break;
       case "title":
-        this.filteredConversations.sort((a, b) =>
+        conversations.sort((a, b) =>
           (a.title || "").localeCompare(b.title || "")
         );
         break;
+      case "relevance":
+        if (scores) {
+          conversations.sort(
+            (a, b) => (scores.get(b.id) || 0) - (scores.get(a.id) || 0)
+          );
+          break;
+        }
+      // 没有关键词时按时间排序
+      // falls through
+      case "latest":
+      default:
+        conversations.sort(
+          (a, b) => (b.create_time || 0) - (a.create_time || 0)
+        );
     }
+  }
 
-    this.renderConversationList(this.filteredConversations);
+  // 渲染保存的查询
+  renderSavedQueries() {
+    const select = document.getElementById("savedQuerySelect");
+    const options = savedQueriesManager
+      .getAll()
+      .map(
+        (item) =>
+          `<option value="${item.id}">${escapeHtml(item.name)}</option>`
+      )
+      .join("");
+    select.innerHTML = `<option value="">保存的查询</option>${options}`;
+  }
+
+  // 导出 HTML 的消息：不含分支切换和书签按钮，附件内嵌为 data URL
+  async renderExportMessages(conversation, options) {
+    const template = document.createElement("template");
+    template.innerHTML = (conversation.messages || [])
+      .map((msg) => {
+        const contentHtml = msg.blocks
+          ? msg.blocks
+              .map((block) => this.renderBlock(block, msg.role))
+              .join("")
+          : this.renderText(msg.content, msg.role);
+        return `
+          <div class="message ${msg.role}" data-role="${msg.role}">
+            ${
+              options.roleLabels || AUXILIARY_ROLES.includes(msg.role)
+                ? `<div class="message-author">${
+                    ROLE_LABELS[msg.role] || escapeHtml(msg.role)
+                  }</div>`
+                : ""
+            }
+            <div class="message-content">${contentHtml}</div>
+            ${this.renderAttachments(msg.attachments)}
+            ${
+              options.timestamps
+                ? `<div class="message-time">${formatDate(
+                    msg.createTime
+                  )}</div>`
+                : ""
+            }
+          </div>
+        `;
+      })
+      .join("");
+
+    for (const el of template.content.querySelectorAll("[data-asset-id]")) {
+      const asset = await chatDB.getAsset(el.dataset.assetId);
+      if (!asset) {
+        const missing = document.createElement("span");
+        missing.className = "attachment-missing";
+        missing.textContent = "附件未包含在导出数据中";
+        el.replaceWith(missing);
+        continue;
+      }
+      const url = await blobToDataUrl(asset.blob);
+      el.removeAttribute("data-asset-id");
+      if (el.tagName === "A") {
+        el.href = url;
+      } else {
+        el.src = url;
+      }
+    }
+
+    // 导出的页面没有复制和折叠功能，代码块全部展开
+    template.content
+      .querySelectorAll(".code-block-btn, .code-block-toggle")
+      .forEach((el) => el.remove());
+    template.content
+      .querySelectorAll(".code-block.collapsed")
+      .forEach((el) => el.classList.remove("collapsed"));
+    return template.innerHTML;
+  }
+
+  // 显示导出设置，确认后返回新的设置，取消返回 null
+  showExportDialog(title, options) {
+    const dialog = document.getElementById("exportDialog");
+    const format = document.getElementById("exportFormat");
+    const theme = document.getElementById("exportTheme");
+    const fields = {
+      roleLabels: document.getElementById("exportRoleLabels"),
+      timestamps: document.getElementById("exportTimestamps"),
+      frontMatter: document.getElementById("exportFrontMatter"),
+      splitFiles: document.getElementById("exportSplitFiles"),
+    };
+    const headingLevel = document.getElementById("exportHeadingLevel");
+
+    document.getElementById("exportDialogTitle").textContent = title;
+    Object.entries(fields).forEach(([key, input]) => {
+      input.checked = !!options[key];
+    });
+    headingLevel.value = String(options.headingLevel);
+    format.value = options.format;
+    theme.value = options.theme;
+
+    // 只显示当前格式可用的选项
+    const updateFields = () => {
+      dialog.querySelectorAll("[data-formats]").forEach((el) => {
+        const formats = el.dataset.formats.split(" ");
+        el.classList.toggle("hidden", !formats.includes(format.value));
+      });
+    };
+    format.onchange = updateFields;
+    updateFields();
+    openDialog(dialog, format);
+
+    return new Promise((resolve) => {
+      const close = (result) => {
+        closeDialog(dialog);
+        resolve(result);
+      };
+      document.getElementById("exportConfirmBtn").onclick = () => {
+        const result = {
+          format: format.value,
+          theme: theme.value,
+          headingLevel: Number(headingLevel.value),
+        };
+        Object.entries(fields).forEach(([key, input]) => {
+          result[key] = input.checked;
+        });
+        close(result);
+      };
+      document.getElementById("exportCancelBtn").onclick = () => close(null);
+    });
+  }
+
+  // 显示合并导入的差异，确认后返回 { deleteRemoved }，取消返回 null
+  showMergeDialog(diff, history) {
+    const dialog = document.getElementById("mergeDialog");
+    const deleteOption = document.getElementById("mergeDeleteRemoved");
+
+    document.getElementById("mergeSummary").innerHTML = `
+      ${this.renderDiffGroup("新增", diff.added)}
+      ${this.renderDiffGroup("有更新", diff.updated)}
+      ${this.renderDiffGroup("新导出中已不存在", diff.removed)}
+      <p class="like-label">未变化 ${diff.unchanged.length} 个</p>
+    `;
+    deleteOption.checked = false;
+    deleteOption
+      .closest("label")
+      .classList.toggle("hidden", diff.removed.length === 0);
+    document.getElementById("importHistory").innerHTML =
+      this.renderImportHistory(history);
+    openDialog(dialog, document.getElementById("mergeApplyBtn"));
+
+    return new Promise((resolve) => {
+      const close = (result) => {
+        closeDialog(dialog);
+        resolve(result);
+      };
+      document.getElementById("mergeApplyBtn").onclick = () =>
+        close({ deleteRemoved: deleteOption.checked });
+      document.getElementById("mergeCancelBtn").onclick = () => close(null);
+    });
+  }
+
+  renderDiffGroup(label, conversations) {
+    if (conversations.length === 0) {
+      return `<p class="like-label">${label} 0 个</p>`;
+    }
+    const items = conversations
+      .slice(0, 100)
+      .map(
+        (conv) => `
+        <li>
+          ${escapeHtml(conv.title || "未命名对话")}
+          <span class="like-label">${formatDate(conv.update_time)}</span>
+        </li>
+      `
+      )
+      .join("");
+    const more =
+      conversations.length > 100
+        ? `<li class="like-label">…还有 ${conversations.length - 100} 个</li>`
+        : "";
+    return `
+      <details class="merge-group">
+        <summary>${label} ${conversations.length} 个</summary>
+        <ul>${items}${more}</ul>
+      </details>
+    `;
+  }
+
+  // 渲染最近的导入记录
+  renderImportHistory(history) {
+    if (history.length === 0) return "";
+    const items = [...history]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 10)
+      .map((entry) => {
+        const detail =
+          entry.mode === "merge"
+            ? `合并：新增 ${entry.added}，更新 ${entry.updated}，删除 ${entry.deleted}`
+            : `导入 ${entry.added} 个对话`;
+        return `
+          <li>
+            ${formatDate(entry.timestamp / 1000)} ·
+            ${escapeHtml(entry.fileName || "")} · ${detail}
+          </li>
+        `;
+      })
+      .join("");
+    return `<h3>导入记录</h3><ul>${items}</ul>`;
   }
 
   // 显示/隐藏界面元素
@@ -416,6 +2503,50 @@ class UIManager {
     document.getElementById("emptyState").classList.add("hidden");
     document.getElementById("loading").classList.remove("hidden");
     document.getElementById("dashboard").classList.add("hidden");
+    document.getElementById("importProgress").classList.add("hidden");
+  }
+
+  // 导入时显示进度和取消按钮
+  showImportProgress(onCancel) {
+    this.showLoading();
+    const cancelBtn = document.getElementById("importCancelBtn");
+    cancelBtn.disabled = false;
+    cancelBtn.onclick = () => {
+      cancelBtn.disabled = true;
+      onCancel();
+    };
+    this.updateImportProgress({ phase: "read", cancellable: true });
+    document.getElementById("importProgress").classList.remove("hidden");
+  }
+
+  // 更新导入进度：已读取的字节数、已处理的对话数等
+  updateImportProgress(progress) {
+    const bar = document.getElementById("importProgressBar");
+    const text = document.getElementById("importProgressText");
+    const cancelBtn = document.getElementById("importCancelBtn");
+    const conversations = progress.conversations || 0;
+
+    if (progress.phase === "assets") {
+      bar.value = progress.assets / progress.totalAssets;
+      text.textContent =
+        `正在保存附件 ${progress.assets} / ${progress.totalAssets}`;
+    } else if (progress.phase === "save") {
+      bar.value = conversations / progress.totalConversations;
+      text.textContent =
+        `正在写入对话 ${conversations} / ${progress.totalConversations}`;
+    } else if (progress.phase === "index") {
+      bar.removeAttribute("value");
+      text.textContent = `已导入 ${conversations} 个对话，正在建立搜索索引…`;
+    } else {
+      const bytesRead = progress.bytesRead || 0;
+      const totalBytes = progress.totalBytes || 0;
+      bar.value = totalBytes ? Math.min(bytesRead / totalBytes, 1) : 0;
+      text.textContent =
+        `已读取 ${formatBytes(bytesRead)} / ${formatBytes(totalBytes)}，` +
+        `已处理 ${conversations} 个对话`;
+    }
+
+    if (!progress.cancellable) cancelBtn.disabled = true;
   }
 
   showDashboard() {
@@ -437,7 +2568,62 @@ class UIManager {
 // 导出单例
 const uiManager = new UIManager();
 
-// 全局导出供HTML调用
-window.uiManager = uiManager;
+// 页面和渲染内容中 data-action / data-change 对应的操作
+registerActions({
+  filterByModel: (el) => uiManager.filterByModel(el.dataset.model),
+  selectConversation: (el, event) =>
+    uiManager.selectConversation(el.dataset.id, event),
+  toggleSelection: (el, event) =>
+    uiManager.toggleSelection(el.dataset.id, event),
+  toggleFavorite: (el, event) =>
+    uiManager.toggleFavorite(el.dataset.id, event),
+  switchBranch: (el, event) =>
+    uiManager.switchBranch(
+      el.dataset.parentId,
+      Number(el.dataset.index),
+      event
+    ),
+  openBranchNode: (el) => uiManager.openBranchNode(el.dataset.id),
+  copyCode: (el) => uiManager.copyCode(el),
+  toggleCodeBlock: (el) => uiManager.toggleCodeBlock(el),
+  toggleMessageBookmark: (el, event) =>
+    uiManager.toggleMessageBookmark(el.dataset.id, event),
+  copyMessageLink: (el) => uiManager.copyMessageLink(el.dataset.id, el),
+  openBookmark: (el) => uiManager.openBookmark(Number(el.dataset.id)),
+  editBookmark: (el, event) =>
+    uiManager.editBookmark(Number(el.dataset.id), event),
+  removeBookmark: (el, event) =>
+    uiManager.removeBookmark(Number(el.dataset.id), event),
+  filterFavoritesByTag: (el, event) =>
+    uiManager.filterFavoritesByTag(el.dataset.tag, event),
+  openFavorite: (el) => uiManager.selectConversation(el.dataset.id),
+  editFavorite: (el, event) => uiManager.editFavorite(el.dataset.id, event),
+  toggleOverallAnalytics: () => uiManager.toggleOverallAnalytics(),
+  createCollection: () => uiManager.createCollection(),
+  deleteCollection: () => uiManager.deleteCollection(),
+  showModelStatsTab: (el) => uiManager.showModelStatsTab(el.dataset.tab),
+  clearTimeFilter: () => uiManager.clearTimeFilter(),
+  favoriteSelected: () => uiManager.favoriteSelected(true),
+  unfavoriteSelected: () => uiManager.favoriteSelected(false),
+  tagSelected: () => uiManager.tagSelected(),
+  hideSelected: () => uiManager.setSelectedHidden(true),
+  unhideSelected: () => uiManager.setSelectedHidden(false),
+  clearSelection: () => uiManager.clearSelection(),
+  toggleShowHidden: () => uiManager.toggleShowHidden(),
+  toggleAuxiliaryRoles: () => uiManager.toggleAuxiliaryRoles(),
+  toggleConversationAnalytics: () => uiManager.toggleConversationAnalytics(),
+  prevSearchHit: () => uiManager.prevSearchHit(),
+  nextSearchHit: () => uiManager.nextSearchHit(),
+  toggleBranchOutline: () => uiManager.toggleBranchOutline(),
+  highlightSelection: () => uiManager.highlightSelection(),
+});
+
+registerActions(
+  {
+    filterFavorites: () => uiManager.filterFavorites(),
+    selectAll: (el) => uiManager.selectAll(el.checked),
+  },
+  "change"
+);
 
 export default uiManager;
@@ -0,0 +1,258 @@
+// 虚拟滚动列表：只渲染可见区域附近的条目，适用于上万条对话或上千条消息
+// 条目高度不固定，渲染后测量并按 key 缓存，未测量的条目使用估计高度
+
+class VirtualList {
+  // container 为滚动容器；renderItem(item, index) 返回单个条目的 HTML
+  // onRender(elements, start) 在新建条目元素后调用，用于填充附件、高亮等
+  constructor(
+    container,
+    { renderItem, getKey, estimateHeight = 60, overscan = 800, onRender }
+  ) {
+    this.container = container;
+    this.renderItem = renderItem;
+    this.getKey = getKey;
+    this.estimateHeight = estimateHeight;
+    this.overscan = overscan;
+    this.onRender = onRender;
+
+    this.items = [];
+    this.keyIndex = new Map(); // key -> 序号
+    this.heights = new Map(); // key -> 测量到的高度
+    this.offsets = [0]; // offsets[i] 为第 i 个条目顶部的位置
+    this.start = 0;
+    this.end = 0;
+    this.renderAll = false; // 打印时渲染全部条目
+    this.frame = null;
+
+    this.root = document.createElement("div");
+    this.root.className = "virtual-list";
+    this.itemsEl = document.createElement("div");
+    this.itemsEl.className = "virtual-list-items";
+    this.root.appendChild(this.itemsEl);
+
+    container.addEventListener("scroll", () => this.scheduleUpdate(), {
+      passive: true,
+    });
+    // 容器显示出来、图片加载或折叠内容展开后重新测量
+    if (typeof ResizeObserver !== "undefined") {
+      this.resizeObserver = new ResizeObserver(() => this.scheduleUpdate());
+      this.resizeObserver.observe(container);
+      this.resizeObserver.observe(this.itemsEl);
+    }
+  }
+
+  // 替换全部条目；scrollTop 不为空时同时设置滚动位置
+  setItems(items, { scrollTop = null } = {}) {
+    this.items = items;
+    this.keyIndex = new Map(
+      items.map((item, index) => [this.getKey(item), index])
+    );
+
+    // 容器中的内容被其他视图替换过时重新挂载
+    if (this.root.parentNode !== this.container) {
+      this.container.innerHTML = "";
+      this.container.appendChild(this.root);
+    }
+
+    // 旧条目的元素不能再用于测量
+    this.itemsEl.innerHTML = "";
+    this.start = 0;
+    this.end = 0;
+    this.computeOffsets();
+    this.applyLayout();
+    if (scrollTop !== null) this.container.scrollTop = scrollTop;
+    this.render();
+  }
+
+  // 条目数据变化（如收藏状态）时重新渲染当前窗口
+  refresh() {
+    if (this.isAttached()) this.render({ rebuild: true });
+  }
+
+  // 打印前渲染全部条目，打印后恢复
+  setRenderAll(renderAll) {
+    this.renderAll = renderAll;
+    if (this.isAttached()) this.render();
+  }
+
+  isAttached() {
+    return this.root.parentNode === this.container;
+  }
+
+  indexOfKey(key) {
+    return this.keyIndex.has(key) ? this.keyIndex.get(key) : -1;
+  }
+
+  // 已渲染的条目元素，不在渲染范围内时返回 null
+  getElement(key) {
+    const index = this.indexOfKey(key);
+    if (index < this.start || index >= this.end) return null;
+    return this.itemsEl.children[index - this.start] || null;
+  }
+
+  // 滚动到指定条目并立即渲染，返回该条目的元素
+  scrollToKey(key, { block = "start" } = {}) {
+    const index = this.indexOfKey(key);
+    if (index === -1 || !this.isAttached()) return null;
+
+    // 渲染后测量到的高度会改变位置，再对齐一次
+    for (let pass = 0; pass < 2; pass++) {
+      const height = this.offsets[index + 1] - this.offsets[index];
+      const top =
+        block === "center"
+          ? this.offsets[index] - (this.container.clientHeight - height) / 2
+          : this.offsets[index];
+      this.container.scrollTop = Math.max(0, top);
+      this.render();
+    }
+    return this.getElement(key);
+  }
+
+  scheduleUpdate() {
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      if (this.isAttached()) this.update();
+    });
+  }
+
+  // 滚动后只在渲染范围变化时重新渲染
+  update() {
+    this.measure();
+    const { start, end } = this.getRange();
+    if (start !== this.start || end !== this.end) {
+      this.render();
+    } else {
+      this.applyLayout();
+    }
+  }
+
+  // 范围变化时保留仍在范围内的元素，只在两端增删，展开的代码块、
+  // 打开的 <details> 和焦点不会丢失；rebuild 时重新生成全部元素
+  render({ rebuild = false } = {}) {
+    this.measure();
+    const { start, end } = this.getRange();
+    const keepStart = Math.max(start, this.start);
+    const keepEnd = Math.min(end, this.end);
+
+    if (rebuild || keepStart >= keepEnd) {
+      this.start = start;
+      this.end = end;
+      this.itemsEl.innerHTML = this.renderRange(start, end);
+      this.measure();
+      this.applyLayout();
+      if (this.onRender) {
+        this.onRender(Array.from(this.itemsEl.children), start);
+      }
+      return;
+    }
+
+    const children = Array.from(this.itemsEl.children);
+    children.slice(0, keepStart - this.start).forEach((el) => el.remove());
+    children.slice(keepEnd - this.start).forEach((el) => el.remove());
+    const before = this.createElements(start, keepStart);
+    const after = this.createElements(keepEnd, end);
+    this.itemsEl.prepend(...before);
+    this.itemsEl.append(...after);
+
+    this.start = start;
+    this.end = end;
+    this.measure();
+    this.applyLayout();
+    if (this.onRender) {
+      if (before.length > 0) this.onRender(before, start);
+      if (after.length > 0) this.onRender(after, keepEnd);
+    }
+  }
+
+  renderRange(from, to) {
+    return this.items
+      .slice(from, to)
+      .map((item, i) => this.renderItem(item, from + i))
+      .join("");
+  }
+
+  createElements(from, to) {
+    if (from >= to) return [];
+    const template = document.createElement("template");
+    template.innerHTML = this.renderRange(from, to);
+    return Array.from(template.content.children);
+  }
+
+  // 测量已渲染条目的高度；上方条目高度变化时保持可见内容不跳动
+  measure() {
+    const children = this.itemsEl.children;
+    if (children.length === 0) return;
+
+    const scrollTop = this.container.scrollTop;
+    const anchor = this.indexAt(scrollTop);
+    const anchorOffset = scrollTop - this.offsets[anchor];
+
+    let changed = false;
+    for (let i = 0; i < children.length; i++) {
+      const top = i === 0 ? 0 : children[i].offsetTop;
+      const bottom =
+        i === children.length - 1
+          ? this.itemsEl.offsetHeight
+          : children[i + 1].offsetTop;
+      const item = this.items[this.start + i];
+      if (item === undefined) break;
+      const key = this.getKey(item);
+      if (bottom - top > 0 && this.heights.get(key) !== bottom - top) {
+        this.heights.set(key, bottom - top);
+        changed = true;
+      }
+    }
+    if (!changed) return;
+
+    const oldAnchorTop = this.offsets[anchor];
+    this.computeOffsets();
+    this.applyLayout();
+    if (this.offsets[anchor] !== oldAnchorTop) {
+      this.container.scrollTop = this.offsets[anchor] + anchorOffset;
+    }
+  }
+
+  computeOffsets() {
+    const offsets = new Array(this.items.length + 1);
+    offsets[0] = 0;
+    this.items.forEach((item, i) => {
+      const height = this.heights.get(this.getKey(item));
+      offsets[i + 1] = offsets[i] + (height ?? this.estimateHeight);
+    });
+    this.offsets = offsets;
+  }
+
+  // 位置 y 所在的条目序号（二分查找）
+  indexAt(y) {
+    let low = 0;
+    let high = this.items.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.offsets[mid] <= y) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return Math.max(low, 0);
+  }
+
+  getRange() {
+    if (this.renderAll || this.items.length === 0) {
+      return { start: 0, end: this.items.length };
+    }
+    const scrollTop = this.container.scrollTop;
+    const viewHeight = this.container.clientHeight || window.innerHeight;
+    const start = this.indexAt(scrollTop - this.overscan);
+    const end = this.indexAt(scrollTop + viewHeight + this.overscan) + 1;
+    return { start, end: Math.min(end, this.items.length) };
+  }
+
+  applyLayout() {
+    this.root.style.height = `${this.offsets[this.items.length]}px`;
+    this.itemsEl.style.top = `${this.offsets[this.start]}px`;
+  }
+}
+
+export { VirtualList };
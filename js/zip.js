@@ -0,0 +1,315 @@
+// ZIP 文件读写（基于浏览器原生 DecompressionStream / CompressionStream，无需第三方库）
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const textDecoder = new TextDecoder("utf-8");
+const textEncoder = new TextEncoder();
+
+// 文件名使用 UTF-8 编码的标志位
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+async function readBytes(file, start, end) {
+  const buffer = await file.slice(start, end).arrayBuffer();
+  return new DataView(buffer);
+}
+
+function readUint64(view, offset) {
+  return (
+    view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32
+  );
+}
+
+// 查找中央目录结束记录
+async function findEndOfCentralDirectory(file) {
+  // EOCD 最长为 22 字节 + 65535 字节注释
+  const tailStart = Math.max(0, file.size - 65557);
+  const view = await readBytes(file, tailStart, file.size);
+
+  for (let i = view.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) !== EOCD_SIGNATURE) continue;
+
+    let entryCount = view.getUint16(i + 10, true);
+    let directorySize = view.getUint32(i + 12, true);
+    let directoryOffset = view.getUint32(i + 16, true);
+
+    // ZIP64：字段被填满时从 ZIP64 记录中读取真实值
+    if (
+      directoryOffset === 0xffffffff ||
+      entryCount === 0xffff ||
+      directorySize === 0xffffffff
+    ) {
+      const locatorOffset = i - 20;
+      if (
+        locatorOffset >= 0 &&
+        view.getUint32(locatorOffset, true) === ZIP64_LOCATOR_SIGNATURE
+      ) {
+        const zip64Offset = readUint64(view, locatorOffset + 8);
+        const zip64 = await readBytes(file, zip64Offset, zip64Offset + 56);
+        if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+          throw new Error("ZIP64 目录记录损坏");
+        }
+        entryCount = readUint64(zip64, 32);
+        directorySize = readUint64(zip64, 40);
+        directoryOffset = readUint64(zip64, 48);
+      }
+    }
+
+    return { entryCount, directorySize, directoryOffset };
+  }
+
+  throw new Error("不是有效的 ZIP 文件");
+}
+
+// 从 ZIP64 扩展字段中补全大小和偏移
+function applyZip64Extra(view, extraStart, extraLength, entry) {
+  let pos = extraStart;
+  const end = extraStart + extraLength;
+  while (pos + 4 <= end) {
+    const headerId = view.getUint16(pos, true);
+    const size = view.getUint16(pos + 2, true);
+    if (headerId === 0x0001) {
+      let field = pos + 4;
+      if (entry.size === 0xffffffff) {
+        entry.size = readUint64(view, field);
+        field += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = readUint64(view, field);
+        field += 8;
+      }
+      if (entry.localOffset === 0xffffffff) {
+        entry.localOffset = readUint64(view, field);
+      }
+      return;
+    }
+    pos += 4 + size;
+  }
+}
+
+// ZIP 中的单个文件
+class ZipEntry {
+  constructor(file, info) {
+    this.file = file;
+    this.name = info.name;
+    this.method = info.method;
+    this.size = info.size;
+    this.compressedSize = info.compressedSize;
+    this.localOffset = info.localOffset;
+    this.directory = info.name.endsWith("/");
+  }
+
+  // 文件名（不含目录）
+  get baseName() {
+    return this.name.split("/").pop();
+  }
+
+  // 条目中压缩数据所在的范围
+  async rawData() {
+    const header = await readBytes(
+      this.file,
+      this.localOffset,
+      this.localOffset + 30
+    );
+    if (header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+      throw new Error(`ZIP 条目损坏: ${this.name}`);
+    }
+    const dataStart =
+      this.localOffset +
+      30 +
+      header.getUint16(26, true) +
+      header.getUint16(28, true);
+    if (this.method !== 0 && this.method !== 8) {
+      throw new Error(`不支持的压缩方式 ${this.method}: ${this.name}`);
+    }
+    return this.file.slice(dataStart, dataStart + this.compressedSize);
+  }
+
+  // 读取为解压后的字节流，用于逐段处理很大的文件
+  async stream() {
+    const raw = await this.rawData();
+    return this.method === 8
+      ? raw.stream().pipeThrough(new DecompressionStream("deflate-raw"))
+      : raw.stream();
+  }
+
+  // 读取为 Blob
+  async blob(type = "") {
+    const raw = await this.rawData();
+    if (this.method === 0) {
+      return new Blob([raw], { type });
+    }
+    const stream = raw
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    const data = await new Response(stream).blob();
+    return type ? new Blob([data], { type }) : data;
+  }
+
+  // 读取为文本
+  async text() {
+    const data = await this.blob();
+    return data.text();
+  }
+}
+
+// 读取 ZIP 文件的目录，返回所有条目
+async function readZip(file) {
+  const { entryCount, directorySize, directoryOffset } =
+    await findEndOfCentralDirectory(file);
+  const view = await readBytes(
+    file,
+    directoryOffset,
+    directoryOffset + directorySize
+  );
+
+  const entries = [];
+  let pos = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_SIGNATURE) {
+      throw new Error("ZIP 中央目录损坏");
+    }
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const nameBytes = new Uint8Array(
+      view.buffer,
+      view.byteOffset + pos + 46,
+      nameLength
+    );
+
+    const info = {
+      name: textDecoder.decode(nameBytes),
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      size: view.getUint32(pos + 24, true),
+      localOffset: view.getUint32(pos + 42, true),
+    };
+    applyZip64Extra(view, pos + 46 + nameLength, extraLength, info);
+    entries.push(new ZipEntry(file, info));
+
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries.filter((entry) => !entry.directory);
+}
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// 日期转换为 ZIP 使用的 DOS 格式
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// 生成 ZIP 文件，files 为 [{ name, data: 字符串或 Uint8Array }]
+// 不支持 ZIP64，用于导出文本文件足够
+async function createZip(files) {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  let centralSize = 0;
+
+  for (const file of files) {
+    const name = textEncoder.encode(file.name);
+    const data =
+      typeof file.data === "string" ? textEncoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    // 浏览器支持时压缩，压缩后更大则直接存储
+    let method = 0;
+    let content = data;
+    if (typeof CompressionStream !== "undefined") {
+      const deflated = await deflateRaw(data);
+      if (deflated.length < data.length) {
+        method = 8;
+        content = deflated;
+      }
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(local, name, content);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, content.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, name);
+
+    offset += 30 + name.length + content.length;
+    centralSize += 46 + name.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, EOCD_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], {
+    type: "application/zip",
+  });
+}
+
+function isZipFile(file) {
+  return file.name.toLowerCase().endsWith(".zip");
+}
+
+export { readZip, createZip, isZipFile };
@@ -0,0 +1,138 @@
+// Service Worker：缓存应用外壳，断网时也能打开页面
+// 发布新版本时修改 CACHE_VERSION，旧缓存会在新版本激活后删除
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+// 谷歌字体等第三方资源，首次在线访问时缓存
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+
+// 应用外壳：页面、样式、脚本和本地依赖
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./style/base.css",
+  "./style/components.css",
+  "./style/print.css",
+  "./style/responsive.css",
+  "./style/variables.css",
+  "./js/actions.js",
+  "./js/analytics.js",
+  "./js/archive.js",
+  "./js/backup.js",
+  "./js/bookmarks.js",
+  "./js/chart.js",
+  "./js/code-blocks.js",
+  "./js/command-palette.js",
+  "./js/db.js",
+  "./js/export.js",
+  "./js/favorites.js",
+  "./js/heatmap.js",
+  "./js/import-worker.js",
+  "./js/importer.js",
+  "./js/json-stream.js",
+  "./js/main.js",
+  "./js/math.js",
+  "./js/merge.js",
+  "./js/parser.js",
+  "./js/query.js",
+  "./js/router.js",
+  "./js/sanitize.js",
+  "./js/saved-queries.js",
+  "./js/search.js",
+  "./js/shortcuts.js",
+  "./js/ui.js",
+  "./js/virtual-list.js",
+  "./js/zip.js",
+  "./vendor/marked/marked.umd.js",
+  "./vendor/highlight/highlight.min.js",
+  "./vendor/html2canvas/html2canvas.min.js",
+  "./vendor/katex/katex.min.js",
+  "./vendor/katex/katex.min.css",
+  "./vendor/katex/fonts/KaTeX_AMS-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Caligraphic-Bold.woff2",
+  "./vendor/katex/fonts/KaTeX_Caligraphic-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Fraktur-Bold.woff2",
+  "./vendor/katex/fonts/KaTeX_Fraktur-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Main-Bold.woff2",
+  "./vendor/katex/fonts/KaTeX_Main-BoldItalic.woff2",
+  "./vendor/katex/fonts/KaTeX_Main-Italic.woff2",
+  "./vendor/katex/fonts/KaTeX_Main-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Math-BoldItalic.woff2",
+  "./vendor/katex/fonts/KaTeX_Math-Italic.woff2",
+  "./vendor/katex/fonts/KaTeX_SansSerif-Bold.woff2",
+  "./vendor/katex/fonts/KaTeX_SansSerif-Italic.woff2",
+  "./vendor/katex/fonts/KaTeX_SansSerif-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Script-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Size1-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Size2-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Size3-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Size4-Regular.woff2",
+  "./vendor/katex/fonts/KaTeX_Typewriter-Regular.woff2",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, RUNTIME_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => !current.includes(key))
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// 本站文件先用缓存、同时在后台更新，下次打开时生效；页面地址忽略查询参数
+async function fromShell(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const key = request.mode === "navigate" ? "./index.html" : request;
+  const cached = await cache.match(key, { ignoreSearch: true });
+  const update = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(key, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  event.waitUntil(update);
+  return cached || (await update) || Response.error();
+}
+
+// 第三方资源有缓存时直接使用
+async function fromRuntime(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(fromShell(event));
+  } else if (/^fonts\.(googleapis|gstatic)\.com$/.test(url.hostname)) {
+    event.respondWith(fromRuntime(request));
+  }
+});